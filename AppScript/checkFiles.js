@@ -1,68 +1,214 @@
 function checkNewFilesAndTriggerCloudFunction() {
-  const FOLDER_ID = "dummy-folder-id";
-  const CLOUD_FUNCTION_URL =
-    "https://dummy-cloud-function-540090171200.us-central1.run.app";
-  const processedFilesKey = "processed_file_ids";
-
-  // Get processed file IDs from PropertiesService
-  const scriptProperties = PropertiesService.getScriptProperties();
-  let processedFiles = JSON.parse(
-    scriptProperties.getProperty(processedFilesKey) || "[]"
-  );
+  const config = getPollerConfig();
+
+  // Attempt counts, errors and retry times for every file seen so far
+  const ledger = new FileLedger();
+  const seenFiles = new Set();
+
+  // Record how the transfers sent on earlier runs turned out
+  checkPendingTransfers(config.transferServiceUrl, ledger);
+  ledger.save();
+
+  config.folders.forEach((folderConfig) => {
+    const newFiles = [];
+    // Files past the pending limit wait for a later run
+    const capacity = ledger.pendingCapacity();
+
+    collectFiles(folderConfig.folderId, folderConfig.recursive, (file) => {
+      // A file under two watched folders is routed by the first one
+      if (seenFiles.has(file.id)) return;
+      seenFiles.add(file.id);
+
+      if (newFiles.length >= capacity) return;
+
+      // Only videos are transferred, other files need no ledger entry
+      if (!String(file.mimeType).startsWith(VIDEO_MIME_PREFIX)) return;
+
+      // The services record each stage on the file itself, so a file with a
+      // status has been transferred. A failed one is only sent again while
+      // the ledger is retrying its transfer; a failed analysis is rerun
+      // through the video processor instead.
+      const status = (file.appProperties || {})[DRIVE_STATUS_PROPERTY];
+      if (status) {
+        if (status === DRIVE_STATUS_FAILED && ledger.isRetryDue(file.id)) {
+          newFiles.push(file.id);
+        }
+        return;
+      }
+
+      // Skip files in flight, given up on, or waiting out a backoff
+      if (ledger.isDue(file.id)) {
+        newFiles.push(file.id);
+      }
+    });
+
+    if (newFiles.length > 0) {
+      sendToTransferService(
+        config.transferServiceUrl,
+        folderConfig,
+        newFiles,
+        ledger
+      );
+    } else {
+      console.log(`No new files found in folder ${folderConfig.folderId}.`);
+    }
+
+    // Save after every folder so a run cut short by the execution time
+    // limit keeps the progress it made
+    ledger.save();
+  });
+
+  ledger.prune(seenFiles);
+  ledger.save();
+}
+
+// Visit every file in a folder, and in all its subfolders when recursive.
+// Uses the Drive advanced service (v3) since DriveApp can't read
+// appProperties. appProperties are private to a Cloud project, so the script
+// must run in the same project as the transfer and processor services.
+function collectFiles(folderId, recursive, visit) {
+  let pageToken;
+
+  do {
+    const response = Drive.Files.list({
+      q: `'${folderId}' in parents and trashed = false`,
+      fields: "nextPageToken, files(id, mimeType, appProperties)",
+      pageSize: 1000,
+      pageToken: pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+    });
 
-  // Get the folder and list files
-  const folder = DriveApp.getFolderById(FOLDER_ID);
-  const files = folder.getFiles();
+    (response.files || []).forEach((file) => {
+      if (file.mimeType === FOLDER_MIME_TYPE) {
+        if (recursive) collectFiles(file.id, true, visit);
+      } else {
+        visit(file);
+      }
+    });
+    pageToken = response.nextPageToken;
+  } while (pageToken);
+}
 
-  let newFiles = [];
+// Send a folder's due files to the transfer service in a single batch
+// request, with that folder's destination prefix and tags. The service
+// queues a job for each file and transfers them in the background; the jobs
+// are checked on later runs.
+function sendToTransferService(serviceUrl, folderConfig, fileIds, ledger) {
+  try {
+    const payload = JSON.stringify({
+      fileIds: fileIds,
+      destinationPrefix: folderConfig.destinationPrefix,
+      tags: folderConfig.tags,
+    });
+    const options = {
+      method: "post",
+      contentType: "application/json",
+      headers: signTransferRequest("POST", "/transfers", payload),
+      payload: payload,
+      muteHttpExceptions: true,
+    };
+
+    const response = UrlFetchApp.fetch(`${serviceUrl}/transfers`, options);
+    const statusCode = response.getResponseCode();
 
-  while (files.hasNext()) {
-    const file = files.next();
-    const fileId = file.getId();
+    console.log(
+      `${fileIds.length} file IDs from folder ${folderConfig.folderId} sent to Cloud Function. Response Code: ${statusCode}`
+    );
 
-    // If file is already processed, skip it
-    if (!processedFiles.includes(fileId)) {
-      newFiles.push(fileId);
+    if (statusCode >= 200 && statusCode < 300) {
+      const batch = JSON.parse(response.getContentText());
+      batch.jobs.forEach((job) => ledger.recordPending(job.fileId, job.jobId));
+    } else {
+      fileIds.forEach((fileId) =>
+        ledger.recordFailure(
+          fileId,
+          `HTTP ${statusCode}: ${response.getContentText()}`
+        )
+      );
     }
+  } catch (error) {
+    console.error(`Error sending batch: ${error.message}`);
+    fileIds.forEach((fileId) => ledger.recordFailure(fileId, error.message));
   }
+}
+
+// Look up the transfer job of every file still pending. Files the service
+// transferred or found already in the bucket are done, and files it
+// rejected are never sent again; failed files, and jobs that are gone or
+// never finished, are retried with backoff on later runs.
+function checkPendingTransfers(serviceUrl, ledger) {
+  const pending = ledger.pendingJobs();
+  const now = Date.now();
 
-  // Process new files
-  if (newFiles.length > 0) {
-    newFiles.forEach((fileId) => {
-      try {
-        // Construct the URL with the fileId as a query parameter
-        const requestUrl = `${CLOUD_FUNCTION_URL}?fileId=${encodeURIComponent(
-          fileId
-        )}`;
-
-        // Make a GET request to the Cloud Function
-        const options = {
+  for (let i = 0; i < pending.length; i += TRANSFER_JOB_LOOKUPS_PER_FETCH) {
+    const lookups = pending.slice(i, i + TRANSFER_JOB_LOOKUPS_PER_FETCH);
+    const responses = UrlFetchApp.fetchAll(
+      lookups.map((lookup) => {
+        const path = `/transfers/${encodeURIComponent(lookup.jobId)}`;
+        return {
+          url: `${serviceUrl}${path}`,
           method: "get",
+          headers: signTransferRequest("GET", path, ""),
           muteHttpExceptions: true,
         };
+      })
+    );
 
-        const response = UrlFetchApp.fetch(requestUrl, options);
-        const statusCode = response.getResponseCode();
-
-        console.log(
-          `File ID ${fileId} sent to Cloud Function. Response Code: ${statusCode}`
+    responses.forEach((response, index) => {
+      const { fileId, jobId, since } = lookups[index];
+      const statusCode = response.getResponseCode();
+      if (statusCode === 404) {
+        ledger.recordFailure(fileId, `Transfer job ${jobId} not found`);
+        return;
+      }
+      if (statusCode !== 200) {
+        console.error(
+          `Error checking transfer job ${jobId}: HTTP ${statusCode}`
         );
+        return;
+      }
 
-        // If Cloud Function accepts it, mark it as processed
-        if (statusCode >= 200 && statusCode < 300) {
-          processedFiles.push(fileId);
-        }
-      } catch (error) {
-        console.error(`Error sending file ${fileId}: ${error.message}`);
+      const job = JSON.parse(response.getContentText());
+      if (job.status === "done" && job.rejection) {
+        console.warn(`File ${fileId} rejected: ${job.reason}`);
+        ledger.recordRejection(fileId, job.rejection);
+      } else if (job.status === "done") {
+        ledger.recordSuccess(fileId);
+      } else if (job.status === "failed") {
+        const reason = job.error ? job.error.message : "Transfer failed";
+        console.error(`Error transferring file ${fileId}: ${reason}`);
+        ledger.recordFailure(fileId, reason);
+      } else if (now - since > LEDGER_CONFIG.PENDING_TIMEOUT_MS) {
+        ledger.recordFailure(
+          fileId,
+          `Transfer job ${jobId} still ${job.status} after ${Math.round(
+            (now - since) / 60000
+          )} minutes`
+        );
       }
     });
-
-    // Save updated processed file IDs
-    scriptProperties.setProperty(
-      processedFilesKey,
-      JSON.stringify(processedFiles)
-    );
-  } else {
-    console.log("No new files found.");
   }
 }
+
+// Build the HMAC headers the transfer service's auth middleware expects. The
+// shared secret is stored in the TRANSFER_HMAC_SECRET script property.
+function signTransferRequest(method, path, payload) {
+  const secret = PropertiesService.getScriptProperties().getProperty(
+    "TRANSFER_HMAC_SECRET"
+  );
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = Utilities.computeHmacSha256Signature(
+    `${timestamp}.${method}.${path}.${payload}`,
+    secret,
+    Utilities.Charset.UTF_8
+  );
+  const hex = signature
+    .map((byte) => ((byte + 256) % 256).toString(16).padStart(2, "0"))
+    .join("");
+
+  return {
+    "X-Signature": `sha256=${hex}`,
+    "X-Signature-Timestamp": timestamp,
+  };
+}
@@ -0,0 +1,82 @@
+// Poller configuration, read from script properties:
+//   TRANSFER_SERVICE_URL  base URL of the transfer service
+//   WATCHED_FOLDERS       JSON array of watched folder entries
+//   CONFIG_SHEET_ID       optional spreadsheet whose "Watched Folders" sheet
+//                         is used instead of WATCHED_FOLDERS
+// A watched folder entry looks like
+//   { folderId, recursive, destinationPrefix, tags }
+// and in the sheet each entry is a row under a header row with those names,
+// with tags comma separated.
+const CONFIG_SHEET_NAME = "Watched Folders";
+const FOLDER_MIME_TYPE = "application/vnd.google-apps.folder";
+const VIDEO_MIME_PREFIX = "video/";
+// Transfer jobs looked up with one UrlFetchApp.fetchAll call
+const TRANSFER_JOB_LOOKUPS_PER_FETCH = 50;
+
+// Drive appProperties the services write back onto each source file
+const DRIVE_STATUS_PROPERTY = "analysisStatus";
+const DRIVE_STATUS_FAILED = "failed";
+
+function getPollerConfig() {
+  const properties = PropertiesService.getScriptProperties();
+
+  const transferServiceUrl = properties.getProperty("TRANSFER_SERVICE_URL");
+  if (!transferServiceUrl) {
+    throw new Error("TRANSFER_SERVICE_URL script property is not set");
+  }
+
+  const sheetId = properties.getProperty("CONFIG_SHEET_ID");
+  const folders = sheetId
+    ? readFoldersFromSheet(sheetId)
+    : JSON.parse(properties.getProperty("WATCHED_FOLDERS") || "[]");
+
+  if (folders.length === 0) {
+    console.warn("No watched folders configured.");
+  }
+
+  return {
+    transferServiceUrl: transferServiceUrl.replace(/\/+$/, ""),
+    folders: folders.map(normalizeFolderConfig),
+  };
+}
+
+function normalizeFolderConfig(folder) {
+  if (!folder.folderId) {
+    throw new Error(
+      `Watched folder entry is missing folderId: ${JSON.stringify(folder)}`
+    );
+  }
+
+  return {
+    folderId: String(folder.folderId).trim(),
+    recursive: String(folder.recursive).toLowerCase() === "true",
+    destinationPrefix: String(folder.destinationPrefix || "").trim(),
+    tags: (Array.isArray(folder.tags)
+      ? folder.tags
+      : String(folder.tags || "").split(",")
+    )
+      .map((tag) => String(tag).trim())
+      .filter(Boolean),
+  };
+}
+
+function readFoldersFromSheet(sheetId) {
+  const sheet =
+    SpreadsheetApp.openById(sheetId).getSheetByName(CONFIG_SHEET_NAME);
+  if (!sheet) {
+    throw new Error(`Config spreadsheet has no "${CONFIG_SHEET_NAME}" sheet`);
+  }
+
+  const [header, ...rows] = sheet.getDataRange().getValues();
+  const columns = header.map((name) => String(name).trim());
+
+  return rows
+    .filter((row) => row[0])
+    .map((row) => {
+      const folder = {};
+      columns.forEach((column, index) => {
+        folder[column] = row[index];
+      });
+      return folder;
+    });
+}
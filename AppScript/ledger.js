@@ -0,0 +1,238 @@
+// Ledger of files sent to the transfer service whose transfer is pending,
+// failed or given up on. Transferred files need no entry: the services
+// record each stage on the Drive file itself, which the poller checks first.
+// Entries are sharded across several script properties to stay under the
+// 9KB-per-value limit.
+const LEDGER_CONFIG = {
+  SHARD_COUNT: 48, // ~3,500 entries while staying under the 500KB total quota
+  SHARD_PREFIX: "ledger_shard_",
+  MAX_SHARD_BYTES: 9000,
+  MAX_ATTEMPTS: 5,
+  // Files sent per run stop once this many are pending, so the entries
+  // always fit however many files a backfill adds at once
+  MAX_PENDING: 1500,
+  BASE_RETRY_DELAY_MS: 15 * 60 * 1000, // 15 minutes
+  MAX_RETRY_DELAY_MS: 24 * 60 * 60 * 1000, // 24 hours
+  // A transfer job that hasn't finished by then is retried
+  PENDING_TIMEOUT_MS: 6 * 60 * 60 * 1000, // 6 hours
+  // Entries for files no longer in the folder are dropped after this long
+  RETENTION_MS: 30 * 24 * 60 * 60 * 1000, // 30 days
+  MAX_ERROR_LENGTH: 200,
+  LEGACY_KEY: "processed_file_ids",
+};
+
+// Entry statuses, kept short since every byte counts against the limit
+const LEDGER_STATUS = {
+  PENDING: "p",
+  RETRY: "r",
+  GAVE_UP: "g",
+};
+
+// Status of entries for transferred files written by earlier versions
+const LEGACY_DONE_STATUS = "d";
+
+class FileLedger {
+  constructor(properties = PropertiesService.getScriptProperties()) {
+    this.properties = properties;
+    // fileId -> { s: status, a: attempts, e: last error, n: next retry,
+    //            j: transfer job, u: updated }
+    this.entries = {};
+    this.dirtyShards = new Set();
+    this.load();
+  }
+
+  shardFor(fileId) {
+    let hash = 0;
+    for (let i = 0; i < fileId.length; i++) {
+      hash = (hash * 31 + fileId.charCodeAt(i)) >>> 0;
+    }
+    return hash % LEDGER_CONFIG.SHARD_COUNT;
+  }
+
+  load() {
+    const all = this.properties.getProperties();
+
+    Object.keys(all).forEach((key) => {
+      if (!key.startsWith(LEDGER_CONFIG.SHARD_PREFIX)) return;
+      const shard = Number(key.slice(LEDGER_CONFIG.SHARD_PREFIX.length));
+      const entries = JSON.parse(all[key] || "{}");
+
+      Object.keys(entries).forEach((fileId) => {
+        if (entries[fileId].s === LEGACY_DONE_STATUS) {
+          this.dirtyShards.add(shard);
+          return;
+        }
+        this.entries[fileId] = entries[fileId];
+        // Entries left in the wrong shard after SHARD_COUNT changed are moved
+        if (this.shardFor(fileId) !== shard) {
+          this.dirtyShards.add(shard);
+          this.dirtyShards.add(this.shardFor(fileId));
+        }
+      });
+    });
+
+    // Transferred files, whether marked by the old single-array format or
+    // by the done entries above, are dropped. Any without a Drive status is
+    // sent once more; the transfer service finds it already in the bucket
+    // and records it on the Drive file.
+    if (all[LEDGER_CONFIG.LEGACY_KEY]) {
+      this.migratedLegacy = true;
+    }
+  }
+
+  // Whether a file should be sent to the transfer service on this run
+  isDue(fileId, now = Date.now()) {
+    return !this.entries[fileId] || this.isRetryDue(fileId, now);
+  }
+
+  // Whether a file whose transfer failed is due for another attempt
+  isRetryDue(fileId, now = Date.now()) {
+    const entry = this.entries[fileId];
+    return !!entry && entry.s === LEDGER_STATUS.RETRY && now >= entry.n;
+  }
+
+  // How many more files may be sent before MAX_PENDING is reached
+  pendingCapacity() {
+    return Math.max(0, LEDGER_CONFIG.MAX_PENDING - this.pendingJobs().length);
+  }
+
+  // Files sent to the transfer service whose job hasn't been checked yet
+  pendingJobs() {
+    return Object.keys(this.entries)
+      .filter((fileId) => this.entries[fileId].s === LEDGER_STATUS.PENDING)
+      .map((fileId) => ({
+        fileId: fileId,
+        jobId: this.entries[fileId].j,
+        since: this.entries[fileId].u,
+      }));
+  }
+
+  recordPending(fileId, jobId) {
+    const entry = this.entries[fileId] || { a: 0 };
+    this.entries[fileId] = {
+      s: LEDGER_STATUS.PENDING,
+      a: entry.a,
+      j: jobId,
+      u: Date.now(),
+    };
+    this.dirtyShards.add(this.shardFor(fileId));
+  }
+
+  // The file is transferred, which its Drive status records from now on
+  recordSuccess(fileId) {
+    if (!this.entries[fileId]) return;
+    delete this.entries[fileId];
+    this.dirtyShards.add(this.shardFor(fileId));
+  }
+
+  // The transfer service rejected the file, so it is never sent again
+  recordRejection(fileId, rejection) {
+    const entry = this.entries[fileId] || { a: 0 };
+    this.entries[fileId] = {
+      s: LEDGER_STATUS.GAVE_UP,
+      a: entry.a + 1,
+      e: String(rejection).slice(0, LEDGER_CONFIG.MAX_ERROR_LENGTH),
+      u: Date.now(),
+    };
+    this.dirtyShards.add(this.shardFor(fileId));
+  }
+
+  recordFailure(fileId, error) {
+    const now = Date.now();
+    const entry = this.entries[fileId] || { a: 0 };
+    const attempts = entry.a + 1;
+    const message = String(error).slice(0, LEDGER_CONFIG.MAX_ERROR_LENGTH);
+
+    if (attempts >= LEDGER_CONFIG.MAX_ATTEMPTS) {
+      console.error(
+        `Giving up on file ${fileId} after ${attempts} attempts: ${message}`
+      );
+      this.entries[fileId] = {
+        s: LEDGER_STATUS.GAVE_UP,
+        a: attempts,
+        e: message,
+        u: now,
+      };
+    } else {
+      const delay = Math.min(
+        LEDGER_CONFIG.BASE_RETRY_DELAY_MS * Math.pow(2, attempts - 1),
+        LEDGER_CONFIG.MAX_RETRY_DELAY_MS
+      );
+      this.entries[fileId] = {
+        s: LEDGER_STATUS.RETRY,
+        a: attempts,
+        e: message,
+        n: now + delay,
+        u: now,
+      };
+    }
+    this.dirtyShards.add(this.shardFor(fileId));
+  }
+
+  // Drop entries for files that are no longer in any watched folder
+  prune(seenFileIds, now = Date.now()) {
+    Object.keys(this.entries).forEach((fileId) => {
+      const entry = this.entries[fileId];
+      if (
+        !seenFileIds.has(fileId) &&
+        now - entry.u > LEDGER_CONFIG.RETENTION_MS
+      ) {
+        delete this.entries[fileId];
+        this.dirtyShards.add(this.shardFor(fileId));
+      }
+    });
+  }
+
+  save() {
+    if (this.dirtyShards.size === 0 && !this.migratedLegacy) return;
+
+    const shards = {};
+    this.dirtyShards.forEach((shard) => {
+      shards[shard] = {};
+    });
+    Object.keys(this.entries).forEach((fileId) => {
+      const shard = this.shardFor(fileId);
+      if (shards[shard]) {
+        shards[shard][fileId] = this.entries[fileId];
+      }
+    });
+
+    const updates = {};
+    Object.keys(shards).forEach((shard) => {
+      updates[`${LEDGER_CONFIG.SHARD_PREFIX}${shard}`] = this.fitShard(
+        shard,
+        shards[shard]
+      );
+    });
+
+    this.properties.setProperties(updates);
+    if (this.migratedLegacy) {
+      this.properties.deleteProperty(LEDGER_CONFIG.LEGACY_KEY);
+      this.migratedLegacy = false;
+    }
+    this.dirtyShards.clear();
+  }
+
+  // Serialize a shard, dropping its oldest given-up entries while it is
+  // over the size limit so it can still be saved. A dropped file is sent
+  // once more and given up on again.
+  fitShard(shard, entries) {
+    const givenUp = Object.keys(entries)
+      .filter((fileId) => entries[fileId].s === LEDGER_STATUS.GAVE_UP)
+      .sort((a, b) => entries[a].u - entries[b].u);
+    let value = JSON.stringify(entries);
+
+    while (value.length > LEDGER_CONFIG.MAX_SHARD_BYTES && givenUp.length > 0) {
+      const fileId = givenUp.shift();
+      delete entries[fileId];
+      delete this.entries[fileId];
+      value = JSON.stringify(entries);
+    }
+    if (value.length > LEDGER_CONFIG.MAX_SHARD_BYTES) {
+      console.error(
+        `Ledger shard ${shard} is ${value.length} bytes, lower LEDGER_CONFIG.MAX_PENDING or increase LEDGER_CONFIG.SHARD_COUNT`
+      );
+    }
+    return value;
+  }
+}
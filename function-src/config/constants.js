@@ -0,0 +1,130 @@
+// Split a comma separated environment variable into a list
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Drive API Configuration
+const DRIVE_CONFIG = {
+  SCOPES: ["https://www.googleapis.com/auth/drive.readonly"],
+  METADATA_FIELDS:
+    "id, name, mimeType, size, md5Checksum, parents, owners(emailAddress), videoMediaMetadata(durationMillis)",
+  FOLDER_MIME_TYPE: "application/vnd.google-apps.folder",
+  LIST_PAGE_SIZE: 1000,
+};
+
+// Transfer Configuration
+const TRANSFER_CONFIG = {
+  BUCKET_NAME: process.env.BUCKET_NAME,
+  // Client-side hash the GCS library checks against the finalized object
+  GCS_VALIDATION: "crc32c",
+  // Falls back to 4 when TRANSFER_CONCURRENCY isn't a positive number
+  BATCH_CONCURRENCY:
+    Math.max(0, parseInt(process.env.TRANSFER_CONCURRENCY, 10) || 0) || 4,
+};
+
+// Drive Push Notification Configuration
+const WATCH_CONFIG = {
+  WEBHOOK_URL: process.env.DRIVE_WEBHOOK_URL,
+  // Shared secret Drive echoes back in X-Goog-Channel-Token
+  CHANNEL_TOKEN: process.env.DRIVE_CHANNEL_TOKEN,
+  WATCHED_FOLDER_IDS: parseList(process.env.WATCHED_FOLDER_IDS),
+  VIDEO_MIME_PREFIX: "video/",
+  CHANNEL_TTL_MS: 24 * 60 * 60 * 1000, // 24 hours
+  RENEW_BEFORE_MS: 2 * 60 * 60 * 1000, // 2 hours
+  STATE_COLLECTION: "driveWatch",
+  STATE_DOCUMENT: "changes",
+};
+
+// File Validation Configuration, checked against Drive metadata before any
+// bytes are transferred
+const DEFAULT_ALLOWED_MIME_TYPES = [
+  "video/mp4",
+  "video/quicktime",
+  "video/mpeg",
+  "video/x-msvideo",
+  "video/x-matroska",
+  "video/webm",
+  "video/3gpp",
+];
+
+const VALIDATION_CONFIG = {
+  ALLOWED_MIME_TYPES: process.env.ALLOWED_MIME_TYPES
+    ? parseList(process.env.ALLOWED_MIME_TYPES)
+    : DEFAULT_ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE_BYTES: Number(
+    process.env.MAX_FILE_SIZE_BYTES || 10 * 1024 * 1024 * 1024 // 10 GB
+  ),
+  // Optional, when set the file name must match at least one pattern
+  FILENAME_PATTERNS: parseList(process.env.FILENAME_PATTERNS).map(
+    (pattern) => new RegExp(pattern, "i")
+  ),
+  // Optional, only enforced once Drive has computed the video duration
+  MIN_DURATION_SECONDS: Number(process.env.MIN_DURATION_SECONDS || 0),
+  MAX_DURATION_SECONDS: Number(process.env.MAX_DURATION_SECONDS || 0),
+};
+
+// Transfer Job Tracking Configuration
+const JOB_CONFIG = {
+  // "firestore" (default) or "memory" for local runs
+  STORE: process.env.JOB_STORE || "firestore",
+  COLLECTION: "transferJobs",
+  STATUSES: ["queued", "downloading", "uploading", "done", "failed"],
+  PROGRESS_INTERVAL_MS: 5000,
+  DEFAULT_LIST_LIMIT: 50,
+  MAX_LIST_LIMIT: 500,
+};
+
+// Request Authentication Configuration
+const AUTH_CONFIG = {
+  // Only for local runs, never set in a deployed service
+  DISABLED: process.env.AUTH_DISABLED === "true",
+  AUDIENCE: parseList(process.env.AUTH_AUDIENCE),
+  ALLOWED_SERVICE_ACCOUNTS: parseList(
+    process.env.AUTH_ALLOWED_SERVICE_ACCOUNTS
+  ),
+  HMAC_SECRET: process.env.AUTH_HMAC_SECRET,
+  HMAC_MAX_SKEW_SECONDS: 300,
+};
+
+// Drive Status Write-back Configuration. Each pipeline stage is recorded on
+// the source Drive file as appProperties and a line in its description.
+const DRIVE_STATUS_CONFIG = {
+  ENABLED: process.env.DRIVE_STATUS_WRITEBACK !== "false",
+  SCOPES: ["https://www.googleapis.com/auth/drive.metadata"],
+  STATUSES: {
+    TRANSFERRED: "transferred",
+    ANALYZING: "analyzing",
+    DONE: "done",
+    FAILED: "failed",
+  },
+  // Order of the stages. Within one attempt a status is never replaced by
+  // one of an earlier stage.
+  STAGE_RANKS: {
+    transferred: 1,
+    analyzing: 2,
+    done: 3,
+    failed: 3,
+  },
+  PROPERTY_KEYS: {
+    STATUS: "analysisStatus",
+    UPDATED_AT: "analysisUpdatedAt",
+    LISTING_ID: "analysisListingId",
+    ERROR: "analysisError",
+  },
+  // Drive limits each property's key and value to 124 bytes combined
+  MAX_PROPERTY_BYTES: 124,
+  DESCRIPTION_PREFIX: "Property analysis:",
+};
+
+module.exports = {
+  DRIVE_CONFIG,
+  TRANSFER_CONFIG,
+  WATCH_CONFIG,
+  VALIDATION_CONFIG,
+  JOB_CONFIG,
+  AUTH_CONFIG,
+  DRIVE_STATUS_CONFIG,
+};
@@ -1,12 +1,15 @@
 const express = require("express");
-const { google } = require("googleapis");
-const { Storage } = require("@google-cloud/storage");
-const fs = require("fs");
-const path = require("path");
+const transferService = require("./services/transferService");
+const driveWatchService = require("./services/driveWatchService");
+const jobService = require("./services/jobService");
+const { normalizeRouting } = require("./utils/validation");
+const { createAuthMiddleware, captureRawBody } = require("./middleware/auth");
+const { WATCH_CONFIG, JOB_CONFIG } = require("./config/constants");
 
 const app = express();
-const storage = new Storage();
-const drive = google.drive("v3");
+app.use(express.json({ verify: captureRawBody }));
+// Drive notifications are checked against the channel token instead
+app.use(createAuthMiddleware({ exemptPaths: ["/drive/notifications"] }));
 
 app.get("/", async (req, res) => {
   try {
@@ -18,70 +21,173 @@ app.get("/", async (req, res) => {
       return res.status(400).send("Missing fileId parameter.");
     }
 
-    console.log(`📂 Fetching metadata for File ID: ${fileId}`);
+    const result = await transferService.transferFile(fileId);
+    res.status(200).send(`File ${result.fileName} transferred successfully.`);
+  } catch (error) {
+    if (error.code === "FILE_REJECTED") {
+      return res.status(error.statusCode).json({
+        error: "File rejected",
+        ...error.rejection,
+      });
+    }
+    if (error.code === "CHECKSUM_MISMATCH") {
+      console.error("❌ Checksum verification failed:", error.message);
+      return res.status(error.statusCode).send(error.message);
+    }
+    console.error("❌ Unexpected Error:", error);
+    res.status(500).send("Error transferring file.");
+  }
+});
+
+// Queue a batch of transfers and run them in the background. Large batches
+// take far longer than a request may, so this answers 202 with the job of
+// each file, which callers follow through GET /transfers/:id.
+app.post("/transfers", async (req, res) => {
+  try {
+    const { fileIds = [], folderId = null } = req.body || {};
+
+    const validFileIds =
+      Array.isArray(fileIds) &&
+      fileIds.every((id) => typeof id === "string" && id);
+    if (!validFileIds || (folderId !== null && typeof folderId !== "string")) {
+      console.error("❌ Invalid batch request body");
+      return res.status(400).json({
+        error: "Invalid request body",
+        details:
+          "'fileIds' must be an array of file ID strings and 'folderId' a string",
+      });
+    }
+    console.log(
+      `🔹 Received batch request: ${fileIds.length} file IDs, folder: ${
+        folderId || "none"
+      }`
+    );
+    if (fileIds.length === 0 && !folderId) {
+      console.error("❌ Batch request without fileIds or folderId");
+      return res.status(400).json({
+        error: "Nothing to transfer",
+        details: "The request must include 'fileIds' or a 'folderId'",
+      });
+    }
 
-    const auth = new google.auth.GoogleAuth({
-      scopes: ["https://www.googleapis.com/auth/drive.readonly"],
+    let routing;
+    try {
+      routing = normalizeRouting(req.body);
+    } catch (validationError) {
+      console.error("❌ Invalid routing options:", validationError.message);
+      return res.status(400).json({
+        error: "Invalid request body",
+        details: validationError.message,
+      });
+    }
+
+    const batch = await transferService.startBatch({
+      fileIds,
+      folderId,
+      ...routing,
     });
+    res.status(202).json(batch);
+  } catch (error) {
+    console.error("❌ Unexpected Error:", error);
+    res.status(500).json({
+      error: "Error queueing transfers",
+      details: error.message,
+    });
+  }
+});
 
-    const driveAuth = await auth.getClient();
+app.get("/transfers", async (req, res) => {
+  try {
+    const status = req.query.status;
+    const limit = parseInt(req.query.limit, 10) || undefined;
+
+    if (status && !JOB_CONFIG.STATUSES.includes(status)) {
+      return res.status(400).json({
+        error: "Invalid status filter",
+        details: `'status' must be one of ${JOB_CONFIG.STATUSES.join(", ")}`,
+      });
+    }
+
+    const jobs = await jobService.listJobs({ status, limit });
+    res.status(200).json({ jobs });
+  } catch (error) {
+    console.error("❌ Error listing transfer jobs:", error);
+    res.status(500).json({
+      error: "Error listing transfer jobs",
+      details: error.message,
+    });
+  }
+});
 
-    const fileMetadata = await drive.files.get({
-      auth: driveAuth,
-      fileId: fileId,
-      fields: "name, mimeType",
+app.get("/transfers/:id", async (req, res) => {
+  try {
+    const job = await jobService.getJob(req.params.id);
+    if (!job) {
+      return res.status(404).json({
+        error: "Transfer job not found",
+        jobId: req.params.id,
+      });
+    }
+    res.status(200).json(job);
+  } catch (error) {
+    console.error("❌ Error reading transfer job:", error);
+    res.status(500).json({
+      error: "Error reading transfer job",
+      details: error.message,
     });
+  }
+});
 
-    const fileName = fileMetadata.data.name;
-    console.log(
-      `📄 File Name: ${fileName}, MIME Type: ${fileMetadata.data.mimeType}`
-    );
+// Webhook for Drive changes.watch push notifications
+app.post("/drive/notifications", async (req, res) => {
+  try {
+    const channelId = req.get("X-Goog-Channel-ID");
+    const resourceState = req.get("X-Goog-Resource-State");
+    const token = req.get("X-Goog-Channel-Token");
 
-    const tempFilePath = path.join("/tmp", fileName);
-    console.log(`📂 Downloading file to: ${tempFilePath}`);
-
-    const dest = fs.createWriteStream(tempFilePath);
-    await drive.files.get(
-      { auth: driveAuth, fileId: fileId, alt: "media" },
-      { responseType: "stream" },
-      (err, response) => {
-        if (err) {
-          console.error("❌ Error downloading file:", err);
-          return res.status(500).send("Download error.");
-        }
-
-        response.data
-          .on("end", async () => {
-            console.log(`✅ Successfully downloaded: ${fileName}`);
-
-            const bucketName = process.env.BUCKET_NAME;
-            console.log(
-              `🚀 Uploading ${fileName} to GCS bucket: ${bucketName}`
-            );
-
-            try {
-              await storage.bucket(bucketName).upload(tempFilePath, {
-                destination: fileName,
-              });
-              console.log(`✅ Successfully uploaded ${fileName} to GCS`);
-              res
-                .status(200)
-                .send(`File ${fileName} transferred successfully.`);
-            } catch (uploadError) {
-              console.error("❌ Error uploading to GCS:", uploadError);
-              res.status(500).send("Upload error.");
-            }
-          })
-          .pipe(dest);
-      }
-    );
+    if (!(await driveWatchService.isKnownChannel(channelId, token))) {
+      console.error(`❌ Notification from unknown channel: ${channelId}`);
+      return res.status(403).send("Unknown channel.");
+    }
+
+    if (resourceState === "sync") {
+      console.log(`🔔 Drive channel ${channelId} is now active`);
+      return res.status(200).end();
+    }
+
+    // Acknowledge right away, Drive backs off on slow webhook responses
+    console.log(`🔔 Drive change notification on channel ${channelId}`);
+    res.status(200).end();
+    driveWatchService.processChanges();
   } catch (error) {
-    console.error("❌ Unexpected Error:", error);
-    res.status(500).send("Error transferring file.");
+    console.error("❌ Error handling Drive notification:", error);
+    res.status(500).send("Error handling notification.");
+  }
+});
+
+// Register or renew the Drive changes channel, called by Cloud Scheduler
+app.post("/drive/watch", async (req, res) => {
+  try {
+    const result = await driveWatchService.renewIfExpiring({
+      force: req.body?.force === true,
+    });
+    res.status(200).json(result);
+  } catch (error) {
+    console.error("❌ Error registering Drive channel:", error);
+    res.status(500).json({
+      error: "Error registering Drive channel",
+      details: error.message,
+    });
   }
 });
 
 const PORT = process.env.PORT || 8080;
 app.listen(PORT, () => {
   console.log(`🚀 Server running on port ${PORT}`);
+
+  if (WATCH_CONFIG.WEBHOOK_URL) {
+    driveWatchService.renewIfExpiring().catch((error) => {
+      console.error("❌ Error registering Drive channel:", error.message);
+    });
+  }
 });
@@ -0,0 +1,144 @@
+const crypto = require("crypto");
+const { OAuth2Client } = require("google-auth-library");
+const { AUTH_CONFIG } = require("../config/constants");
+
+const GOOGLE_ISSUERS = ["https://accounts.google.com", "accounts.google.com"];
+
+function unauthorized(res, details) {
+  return res.status(401).json({ error: "Unauthorized", details });
+}
+
+// Keep the exact request bytes so HMAC signatures can be checked against
+// what the caller signed, pass as the `verify` option of express.json()
+function captureRawBody(req, res, buf) {
+  req.rawBody = buf;
+}
+
+// The string HMAC callers sign: timestamp, method, path and raw body
+function signingPayload(timestamp, method, path, rawBody) {
+  return `${timestamp}.${method.toUpperCase()}.${path}.${rawBody || ""}`;
+}
+
+function signRequest(secret, timestamp, method, path, rawBody) {
+  return crypto
+    .createHmac("sha256", secret)
+    .update(signingPayload(timestamp, method, path, rawBody))
+    .digest("hex");
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(a);
+  const bufferB = Buffer.from(b);
+  return (
+    bufferA.length === bufferB.length &&
+    crypto.timingSafeEqual(bufferA, bufferB)
+  );
+}
+
+// Build middleware that accepts either a Google-signed OIDC bearer token
+// (Pub/Sub push, Cloud Scheduler) or an HMAC signed request. Every option
+// defaults to AUTH_CONFIG; `getCerts` and `now` can be injected to verify
+// tokens and signatures offline.
+function createAuthMiddleware(options = {}) {
+  const {
+    disabled = AUTH_CONFIG.DISABLED,
+    audience = AUTH_CONFIG.AUDIENCE,
+    allowedServiceAccounts = AUTH_CONFIG.ALLOWED_SERVICE_ACCOUNTS,
+    hmacSecret = AUTH_CONFIG.HMAC_SECRET,
+    maxSkewSeconds = AUTH_CONFIG.HMAC_MAX_SKEW_SECONDS,
+    exemptPaths = [],
+    oauthClient = new OAuth2Client(),
+    getCerts = async () =>
+      (await oauthClient.getFederatedSignonCertsAsync()).certs,
+    now = () => Date.now(),
+  } = options;
+
+  if (disabled) {
+    console.warn("⚠️ Request authentication is disabled");
+    return (req, res, next) => next();
+  }
+  if (audience.length === 0 && !hmacSecret) {
+    console.error(
+      "❌ No OIDC audience or HMAC secret configured, all requests will be rejected"
+    );
+  }
+
+  async function verifyBearerToken(token) {
+    if (audience.length === 0) {
+      throw new Error("OIDC authentication is not configured");
+    }
+    const certs = await getCerts();
+    const ticket = await oauthClient.verifySignedJwtWithCertsAsync(
+      token,
+      certs,
+      audience,
+      GOOGLE_ISSUERS
+    );
+    const payload = ticket.getPayload();
+    if (
+      !payload.email_verified ||
+      !allowedServiceAccounts.includes(payload.email)
+    ) {
+      throw new Error(`Service account ${payload.email} is not allowed`);
+    }
+    return { type: "oidc", principal: payload.email };
+  }
+
+  function verifySignature(req) {
+    if (!hmacSecret) {
+      throw new Error("HMAC authentication is not configured");
+    }
+    const timestamp = req.get("X-Signature-Timestamp");
+    const signature = (req.get("X-Signature") || "").replace(/^sha256=/, "");
+    if (!timestamp || !signature) {
+      throw new Error("Missing X-Signature or X-Signature-Timestamp header");
+    }
+
+    const skewSeconds = Math.abs(now() / 1000 - Number(timestamp));
+    if (!(skewSeconds <= maxSkewSeconds)) {
+      throw new Error("Request timestamp is outside the allowed window");
+    }
+
+    const expected = signRequest(
+      hmacSecret,
+      timestamp,
+      req.method,
+      req.originalUrl,
+      req.rawBody
+    );
+    if (!safeEqual(signature, expected)) {
+      throw new Error("Invalid request signature");
+    }
+    return { type: "hmac", principal: "hmac" };
+  }
+
+  return async (req, res, next) => {
+    if (exemptPaths.includes(req.path)) {
+      return next();
+    }
+
+    try {
+      const authorization = req.get("Authorization") || "";
+      if (authorization.startsWith("Bearer ")) {
+        req.auth = await verifyBearerToken(authorization.slice(7));
+      } else if (req.get("X-Signature")) {
+        req.auth = verifySignature(req);
+      } else {
+        return unauthorized(res, "Missing credentials");
+      }
+    } catch (error) {
+      console.error(
+        `❌ Rejected ${req.method} ${req.originalUrl}:`,
+        error.message
+      );
+      return unauthorized(res, error.message);
+    }
+    next();
+  };
+}
+
+module.exports = {
+  createAuthMiddleware,
+  captureRawBody,
+  signRequest,
+};
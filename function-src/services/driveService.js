@@ -0,0 +1,87 @@
+const { google } = require("googleapis");
+const { DRIVE_CONFIG } = require("../config/constants");
+
+class DriveService {
+  constructor() {
+    const auth = new google.auth.GoogleAuth({
+      scopes: DRIVE_CONFIG.SCOPES,
+    });
+    this.drive = google.drive({ version: "v3", auth });
+  }
+
+  async getFileMetadata(fileId) {
+    const response = await this.drive.files.get({
+      fileId,
+      fields: DRIVE_CONFIG.METADATA_FIELDS,
+    });
+    return response.data;
+  }
+
+  // List the direct children of a folder, following every result page
+  async listFolderFiles(folderId) {
+    const files = [];
+    let pageToken;
+
+    do {
+      const response = await this.drive.files.list({
+        q: `'${folderId}' in parents and trashed = false`,
+        fields: "nextPageToken, files(id, name, mimeType)",
+        pageSize: DRIVE_CONFIG.LIST_PAGE_SIZE,
+        pageToken,
+        supportsAllDrives: true,
+        includeItemsFromAllDrives: true,
+      });
+      files.push(...(response.data.files || []));
+      pageToken = response.data.nextPageToken;
+    } while (pageToken);
+
+    return files;
+  }
+
+  async getStartPageToken() {
+    const response = await this.drive.changes.getStartPageToken({
+      supportsAllDrives: true,
+    });
+    return response.data.startPageToken;
+  }
+
+  async watchChanges(pageToken, channel) {
+    const response = await this.drive.changes.watch({
+      pageToken,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+      requestBody: channel,
+    });
+    return response.data;
+  }
+
+  async stopChannel(channelId, resourceId) {
+    await this.drive.channels.stop({
+      requestBody: { id: channelId, resourceId },
+    });
+  }
+
+  // Fetch one page of the Changes API feed
+  async listChanges(pageToken) {
+    const response = await this.drive.changes.list({
+      pageToken,
+      fields:
+        "nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, trashed))",
+      pageSize: DRIVE_CONFIG.LIST_PAGE_SIZE,
+      supportsAllDrives: true,
+      includeItemsFromAllDrives: true,
+    });
+    return response.data;
+  }
+
+  // Open the file contents as a readable stream without buffering to disk
+  async getFileStream(fileId) {
+    const response = await this.drive.files.get(
+      { fileId, alt: "media" },
+      { responseType: "stream" }
+    );
+    return response.data;
+  }
+}
+
+module.exports = new DriveService();
@@ -0,0 +1,116 @@
+const { google } = require("googleapis");
+const { DRIVE_STATUS_CONFIG } = require("../config/constants");
+
+const KEYS = DRIVE_STATUS_CONFIG.PROPERTY_KEYS;
+const RANKS = DRIVE_STATUS_CONFIG.STAGE_RANKS;
+
+// Trim a value until the property fits Drive's size limit
+function fitProperty(key, value) {
+  let fitted = String(value);
+  while (
+    Buffer.byteLength(key + fitted, "utf8") >
+    DRIVE_STATUS_CONFIG.MAX_PROPERTY_BYTES
+  ) {
+    fitted = fitted.slice(0, -1);
+  }
+  return fitted;
+}
+
+// Replace the status line in a file description, keeping everything else
+// the owner wrote there
+function withStatusLine(description, statusLine) {
+  const lines = (description || "")
+    .split("\n")
+    .filter((line) => !line.startsWith(DRIVE_STATUS_CONFIG.DESCRIPTION_PREFIX));
+  return [...lines, statusLine].join("\n").trim();
+}
+
+function describeStatus(status, { listingLink, reason, at }) {
+  let detail = "";
+  if (status === DRIVE_STATUS_CONFIG.STATUSES.DONE && listingLink) {
+    detail = ` - listing: ${listingLink}`;
+  } else if (status === DRIVE_STATUS_CONFIG.STATUSES.FAILED && reason) {
+    detail = ` - ${reason}`;
+  }
+  return `${DRIVE_STATUS_CONFIG.DESCRIPTION_PREFIX} ${status}${detail} (${at})`;
+}
+
+class DriveStatusService {
+  constructor() {
+    const auth = new google.auth.GoogleAuth({
+      scopes: DRIVE_STATUS_CONFIG.SCOPES,
+    });
+    this.drive = google.drive({ version: "v3", auth });
+  }
+
+  // Record a pipeline stage on the source Drive file. This is best effort:
+  // a file the service account can't edit must not fail the pipeline.
+  // `details.since` is when the attempt this status belongs to started; a
+  // status written since then is only replaced by a later stage.
+  async setStatus(fileId, status, details = {}) {
+    if (!DRIVE_STATUS_CONFIG.ENABLED || !fileId) {
+      return false;
+    }
+    const at = details.at || new Date().toISOString();
+    const since = details.since || at;
+
+    try {
+      const { data } = await this.drive.files.get({
+        fileId,
+        fields: "description, appProperties",
+        supportsAllDrives: true,
+      });
+
+      // The transfer service and the video processor both write stages, so
+      // a late write must not replace a newer status, nor move this
+      // attempt's status back to an earlier stage
+      const current = data.appProperties || {};
+      const currentAt = current[KEYS.UPDATED_AT];
+      const isNewer = currentAt && currentAt > at;
+      const isBackwards =
+        currentAt &&
+        currentAt >= since &&
+        RANKS[current[KEYS.STATUS]] > RANKS[status];
+      if (isNewer || isBackwards) {
+        console.log(
+          `⏭️ Drive file ${fileId} already has a ${
+            isNewer ? "newer" : "later stage"
+          } status (${current[KEYS.STATUS]}), not marking it ${status}`
+        );
+        return false;
+      }
+
+      // Null values remove properties left over from an earlier stage
+      await this.drive.files.update({
+        fileId,
+        supportsAllDrives: true,
+        fields: "id",
+        requestBody: {
+          appProperties: {
+            [KEYS.STATUS]: status,
+            [KEYS.UPDATED_AT]: at,
+            [KEYS.LISTING_ID]: details.listingId || null,
+            [KEYS.ERROR]: details.reason
+              ? fitProperty(KEYS.ERROR, details.reason)
+              : null,
+          },
+          description: withStatusLine(
+            data.description,
+            describeStatus(status, { ...details, at })
+          ),
+        },
+      });
+
+      console.log(`🏷️ Marked Drive file ${fileId} as ${status}`);
+      return true;
+    } catch (error) {
+      console.error(
+        `❌ Error writing status to Drive file ${fileId}:`,
+        error.message
+      );
+      return false;
+    }
+  }
+}
+
+module.exports = new DriveStatusService();
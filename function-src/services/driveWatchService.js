@@ -0,0 +1,185 @@
+const crypto = require("crypto");
+const { Firestore } = require("@google-cloud/firestore");
+const driveService = require("./driveService");
+const transferService = require("./transferService");
+const { WATCH_CONFIG } = require("../config/constants");
+
+class DriveWatchService {
+  constructor() {
+    // The webhook skips request authentication, so without a token anyone
+    // who guessed the channel ID could start change scans. Checked at
+    // startup rather than on the first notification.
+    if (WATCH_CONFIG.WEBHOOK_URL && !WATCH_CONFIG.CHANNEL_TOKEN) {
+      throw new Error(
+        "DRIVE_CHANNEL_TOKEN must be set when DRIVE_WEBHOOK_URL is configured"
+      );
+    }
+
+    this.db = new Firestore({
+      ignoreUndefinedProperties: true,
+    });
+    this.stateRef = this.db
+      .collection(WATCH_CONFIG.STATE_COLLECTION)
+      .doc(WATCH_CONFIG.STATE_DOCUMENT);
+
+    // Serializes passes over the changes feed within this instance so
+    // overlapping notifications don't read the same page token twice
+    this.processing = Promise.resolve();
+  }
+
+  async getState() {
+    const doc = await this.stateRef.get();
+    return doc.exists ? doc.data() : {};
+  }
+
+  async saveState(update) {
+    await this.stateRef.set(
+      { ...update, updatedAt: Firestore.FieldValue.serverTimestamp() },
+      { merge: true }
+    );
+  }
+
+  // Register a new changes channel and retire the one it replaces
+  async startWatching() {
+    if (!WATCH_CONFIG.WEBHOOK_URL) {
+      throw new Error("DRIVE_WEBHOOK_URL is not configured");
+    }
+
+    const state = await this.getState();
+    const pageToken =
+      state.pageToken || (await driveService.getStartPageToken());
+
+    const channel = await driveService.watchChanges(pageToken, {
+      id: crypto.randomUUID(),
+      type: "web_hook",
+      address: WATCH_CONFIG.WEBHOOK_URL,
+      token: WATCH_CONFIG.CHANNEL_TOKEN,
+      expiration: String(Date.now() + WATCH_CONFIG.CHANNEL_TTL_MS),
+    });
+    const expiration = Number(channel.expiration);
+
+    console.log(
+      `👀 Registered Drive changes channel ${channel.id}, expires ${new Date(
+        expiration
+      ).toISOString()}`
+    );
+
+    await this.saveState({
+      pageToken,
+      channelId: channel.id,
+      resourceId: channel.resourceId,
+      expiration,
+      previousChannelId: state.channelId || null,
+    });
+
+    // Stop the old channel only once the new one is registered so no
+    // notifications are missed in between
+    if (state.channelId) {
+      try {
+        await driveService.stopChannel(state.channelId, state.resourceId);
+      } catch (error) {
+        console.warn(
+          `⚠️ Could not stop Drive channel ${state.channelId}:`,
+          error.message
+        );
+      }
+    }
+
+    return { channelId: channel.id, expiration };
+  }
+
+  async renewIfExpiring({ force = false } = {}) {
+    const state = await this.getState();
+    const expiresIn = (state.expiration || 0) - Date.now();
+
+    if (!force && state.channelId && expiresIn > WATCH_CONFIG.RENEW_BEFORE_MS) {
+      console.log(
+        `✅ Drive channel ${state.channelId} is valid for another ${Math.round(
+          expiresIn / 60000
+        )} minutes`
+      );
+      return {
+        renewed: false,
+        channelId: state.channelId,
+        expiration: state.expiration,
+      };
+    }
+
+    const channel = await this.startWatching();
+    return { renewed: true, ...channel };
+  }
+
+  // Check that a notification comes from a channel this service registered
+  // and carries its token
+  async isKnownChannel(channelId, token) {
+    if (!WATCH_CONFIG.CHANNEL_TOKEN || token !== WATCH_CONFIG.CHANNEL_TOKEN) {
+      return false;
+    }
+    const state = await this.getState();
+    return (
+      Boolean(channelId) &&
+      (channelId === state.channelId || channelId === state.previousChannelId)
+    );
+  }
+
+  isWatchedVideo(file) {
+    return (
+      Boolean(file) &&
+      !file.trashed &&
+      (file.mimeType || "").startsWith(WATCH_CONFIG.VIDEO_MIME_PREFIX) &&
+      (file.parents || []).some((parent) =>
+        WATCH_CONFIG.WATCHED_FOLDER_IDS.includes(parent)
+      )
+    );
+  }
+
+  // Queue a pass over the changes feed behind any pass already running
+  processChanges() {
+    this.processing = this.processing
+      .then(() => this.syncChanges())
+      .catch((error) => {
+        console.error("❌ Error processing Drive changes:", error);
+      });
+    return this.processing;
+  }
+
+  async syncChanges() {
+    const state = await this.getState();
+    let pageToken = state.pageToken;
+    if (!pageToken) {
+      console.warn("⚠️ No Drive page token stored, register a channel first");
+      return;
+    }
+
+    const fileIds = new Set();
+    let newStartPageToken = pageToken;
+
+    while (pageToken) {
+      const page = await driveService.listChanges(pageToken);
+      (page.changes || []).forEach((change) => {
+        if (!change.removed && this.isWatchedVideo(change.file)) {
+          fileIds.add(change.fileId);
+        }
+      });
+      pageToken = page.nextPageToken;
+      if (page.newStartPageToken) {
+        newStartPageToken = page.newStartPageToken;
+      }
+    }
+
+    if (fileIds.size > 0) {
+      console.log(
+        `🔔 ${fileIds.size} video changes in watched folders, transferring`
+      );
+      // Videos already in the bucket with a matching checksum are skipped, so
+      // edits to existing files and replayed pages don't trigger reanalysis
+      await transferService.transferBatch({ fileIds: [...fileIds] });
+    }
+
+    // Advance the token only after the transfers ran, so a crash mid-pass
+    // replays these changes instead of dropping them
+    await this.saveState({ pageToken: newStartPageToken });
+  }
+}
+
+module.exports = new DriveWatchService();
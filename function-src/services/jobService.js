@@ -0,0 +1,92 @@
+const crypto = require("crypto");
+const FirestoreJobStore = require("../stores/firestoreJobStore");
+const MemoryJobStore = require("../stores/memoryJobStore");
+const { JOB_CONFIG } = require("../config/constants");
+
+// Timestamp field recorded when a job enters each status
+const STATUS_TIMESTAMPS = {
+  downloading: "downloadStartedAt",
+  uploading: "uploadStartedAt",
+  done: "completedAt",
+  failed: "completedAt",
+};
+
+function createStore(type) {
+  switch (type) {
+    case "firestore":
+      return new FirestoreJobStore(JOB_CONFIG.COLLECTION);
+    case "memory":
+      return new MemoryJobStore();
+    default:
+      throw new Error(`Unknown job store: ${type}`);
+  }
+}
+
+class JobService {
+  constructor(store = createStore(JOB_CONFIG.STORE)) {
+    this.store = store;
+  }
+
+  async createJob(fileId) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      fileId,
+      fileName: null,
+      status: "queued",
+      bytesTransferred: 0,
+      totalBytes: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      queuedAt: now,
+    };
+    await this.store.create(job);
+    return job;
+  }
+
+  async updateJob(id, fields) {
+    const now = new Date().toISOString();
+    const update = { ...fields, updatedAt: now };
+    if (fields.status && STATUS_TIMESTAMPS[fields.status]) {
+      update[STATUS_TIMESTAMPS[fields.status]] = now;
+    }
+    await this.store.update(id, update);
+  }
+
+  async getJob(id) {
+    return this.store.get(id);
+  }
+
+  async listJobs({ status, limit = JOB_CONFIG.DEFAULT_LIST_LIMIT } = {}) {
+    if (status && !JOB_CONFIG.STATUSES.includes(status)) {
+      throw new Error(
+        `Unknown job status: ${status}. Expected one of ${JOB_CONFIG.STATUSES.join(
+          ", "
+        )}`
+      );
+    }
+    return this.store.list({
+      status,
+      limit: Math.min(Math.max(1, limit), JOB_CONFIG.MAX_LIST_LIMIT),
+    });
+  }
+
+  // Returns a recorder that applies updates to one job in order. Tracking
+  // failures are logged rather than thrown so they never fail a transfer.
+  tracker(jobId) {
+    let pending = Promise.resolve();
+    const update = (fields) => {
+      if (!jobId) return pending;
+      pending = pending
+        .then(() => this.updateJob(jobId, fields))
+        .catch((error) => {
+          console.error(`❌ Error updating job ${jobId}:`, error.message);
+        });
+      return pending;
+    };
+    return { jobId, update };
+  }
+}
+
+module.exports = new JobService();
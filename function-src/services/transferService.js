@@ -0,0 +1,358 @@
+const crypto = require("crypto");
+const { Transform } = require("stream");
+const { pipeline } = require("stream/promises");
+const { Storage } = require("@google-cloud/storage");
+const driveService = require("./driveService");
+const jobService = require("./jobService");
+const driveStatusService = require("./driveStatusService");
+const { mapWithConcurrency } = require("../utils/concurrency");
+const { validateFileMetadata } = require("../utils/validation");
+const {
+  DRIVE_CONFIG,
+  TRANSFER_CONFIG,
+  JOB_CONFIG,
+  DRIVE_STATUS_CONFIG,
+} = require("../config/constants");
+
+function checksumMismatchError(fileName, expected, actual) {
+  const error = new Error(
+    `Checksum mismatch for ${fileName}: Drive reported MD5 ${expected}, received ${actual}`
+  );
+  error.code = "CHECKSUM_MISMATCH";
+  error.statusCode = 502;
+  return error;
+}
+
+function fileRejectedError(fileId, fileName, rejection) {
+  const error = new Error(`File ${fileName} rejected: ${rejection.reason}`);
+  error.code = "FILE_REJECTED";
+  error.statusCode = rejection.statusCode;
+  error.rejection = { fileId, fileName, ...rejection };
+  return error;
+}
+
+class TransferService {
+  constructor() {
+    this.storage = new Storage();
+  }
+
+  // Start tracking a transfer. Tracking is best effort, so a store outage
+  // doesn't stop files from being transferred.
+  async createJob(fileId) {
+    try {
+      const job = await jobService.createJob(fileId);
+      return job.id;
+    } catch (error) {
+      console.error(`❌ Error creating job for ${fileId}:`, error.message);
+      return null;
+    }
+  }
+
+  // Transfer one file, recording its progress and outcome as a job. Pass
+  // `jobId` to continue a job that was queued earlier.
+  async transferFile(fileId, options = {}) {
+    const jobId = options.jobId || (await this.createJob(fileId));
+    const job = jobService.tracker(jobId);
+    const startedAt = Date.now();
+    const since = new Date(startedAt).toISOString();
+
+    try {
+      const result = await this.copyFile(fileId, { ...options, since }, job);
+      await job.update({
+        status: "done",
+        outcome: result.status,
+        reason: result.reason || null,
+        bytesTransferred: result.bytesTransferred || 0,
+        md5Checksum: result.md5Checksum || null,
+        durationMs: Date.now() - startedAt,
+      });
+      return { jobId, ...result };
+    } catch (error) {
+      error.jobId = jobId;
+      // A file that doesn't pass validation is skipped, not failed: the job
+      // records why, and the Drive file is left untouched
+      if (error.code === "FILE_REJECTED") {
+        await job.update({
+          status: "done",
+          outcome: "skipped",
+          reason: error.rejection.reason,
+          rejection: error.rejection.code,
+          durationMs: Date.now() - startedAt,
+        });
+        throw error;
+      }
+
+      await job.update({
+        status: "failed",
+        error: { code: error.code || null, message: error.message },
+        durationMs: Date.now() - startedAt,
+      });
+      await driveStatusService.setStatus(
+        fileId,
+        DRIVE_STATUS_CONFIG.STATUSES.FAILED,
+        { reason: error.message, since }
+      );
+      throw error;
+    }
+  }
+
+  async copyFile(fileId, options, job) {
+    console.log(`📂 Fetching metadata for File ID: ${fileId}`);
+    const metadata = await driveService.getFileMetadata(fileId);
+    const fileName = metadata.name;
+    const expectedMd5 = metadata.md5Checksum || null;
+    console.log(
+      `📄 File Name: ${fileName}, MIME Type: ${metadata.mimeType}, Size: ${metadata.size} bytes`
+    );
+
+    const rejection = validateFileMetadata(metadata);
+    if (rejection) {
+      console.warn(`🚫 Rejected ${fileName}: ${rejection.reason}`);
+      throw fileRejectedError(fileId, fileName, rejection);
+    }
+
+    await job.update({
+      status: "downloading",
+      fileName,
+      totalBytes: Number(metadata.size) || null,
+    });
+
+    if (!expectedMd5) {
+      console.warn(
+        `⚠️ Drive did not report an MD5 checksum for ${fileName}, relying on GCS CRC32C validation only`
+      );
+    }
+
+    const bucketName = TRANSFER_CONFIG.BUCKET_NAME;
+    const objectName = options.destinationPrefix
+      ? `${options.destinationPrefix}/${fileName}`
+      : fileName;
+    const gcsFile = this.storage.bucket(bucketName).file(objectName);
+
+    // Hash the bytes as they stream through so they can be compared with
+    // what Drive says the file should contain
+    const md5 = crypto.createHash("md5");
+    let bytesTransferred = 0;
+    let lastProgressAt = 0;
+    const hasher = new Transform({
+      // Job updates are applied in order and never reject, so waiting for
+      // them only holds the chunk back until its progress is recorded
+      transform(chunk, encoding, callback) {
+        md5.update(chunk);
+        const updates = [];
+        if (bytesTransferred === 0) {
+          updates.push(job.update({ status: "uploading" }));
+        }
+        bytesTransferred += chunk.length;
+
+        if (Date.now() - lastProgressAt >= JOB_CONFIG.PROGRESS_INTERVAL_MS) {
+          lastProgressAt = Date.now();
+          updates.push(job.update({ bytesTransferred }));
+        }
+        Promise.all(updates).then(() => callback(null, chunk));
+      },
+      // Every byte has been read, but the upload isn't finalized until this
+      // calls back. Marking the file now means the status lands before the
+      // finalize event starts the video processor, which writes its own.
+      flush(callback) {
+        driveStatusService
+          .setStatus(fileId, DRIVE_STATUS_CONFIG.STATUSES.TRANSFERRED, {
+            since: options.since,
+          })
+          .then(() => callback(), callback);
+      },
+    });
+
+    // Custom metadata travels with the OBJECT_FINALIZE notification so the
+    // video processor can link its results back to the source file
+    const sourceMetadata = {
+      driveFileId: fileId,
+      originalName: fileName,
+      owner: metadata.owners?.[0]?.emailAddress,
+      sourceFolderId: metadata.parents?.[0],
+      tags: (options.tags || []).join(","),
+    };
+    const objectMetadata = {
+      contentType: metadata.mimeType,
+      metadata: Object.fromEntries(
+        Object.entries(sourceMetadata).filter(([, value]) => value)
+      ),
+    };
+    if (expectedMd5) {
+      // GCS rejects the finalize if the uploaded bytes don't match this hash
+      objectMetadata.md5Hash = Buffer.from(expectedMd5, "hex").toString(
+        "base64"
+      );
+    }
+
+    if (options.skipExisting && expectedMd5) {
+      const [exists] = await gcsFile.exists();
+      if (exists) {
+        const [existing] = await gcsFile.getMetadata();
+        if (existing.md5Hash === objectMetadata.md5Hash) {
+          console.log(`⏭️ ${fileName} is already in the bucket, skipping`);
+          // Mark the file in case it never was, without replacing any
+          // later stage, as if it belonged to the attempt long past that
+          // uploaded the object
+          await driveStatusService.setStatus(
+            fileId,
+            DRIVE_STATUS_CONFIG.STATUSES.TRANSFERRED,
+            { since: new Date(0).toISOString() }
+          );
+          return {
+            fileId,
+            fileName,
+            status: "skipped",
+            reason: "Identical object already in bucket",
+          };
+        }
+      }
+    }
+
+    console.log(`🚀 Streaming ${fileName} to gs://${bucketName}/${objectName}`);
+    const source = await driveService.getFileStream(fileId);
+
+    try {
+      await pipeline(
+        source,
+        hasher,
+        gcsFile.createWriteStream({
+          resumable: true,
+          validation: TRANSFER_CONFIG.GCS_VALIDATION,
+          metadata: objectMetadata,
+        })
+      );
+    } catch (error) {
+      if (expectedMd5 && error.code === 400 && /md5/i.test(error.message)) {
+        throw checksumMismatchError(
+          fileName,
+          expectedMd5,
+          md5.copy().digest("hex")
+        );
+      }
+      throw error;
+    }
+
+    const actualMd5 = md5.digest("hex");
+    if (expectedMd5 && actualMd5 !== expectedMd5) {
+      console.error(
+        `❌ MD5 mismatch for ${fileName}, removing uploaded object`
+      );
+      await gcsFile.delete({ ignoreNotFound: true });
+      throw checksumMismatchError(fileName, expectedMd5, actualMd5);
+    }
+
+    console.log(
+      `✅ Successfully streamed ${fileName} to GCS (${bytesTransferred} bytes, MD5 ${actualMd5})`
+    );
+
+    return {
+      fileId,
+      fileName,
+      status: "transferred",
+      bucketName,
+      objectName,
+      bytesTransferred,
+      md5Checksum: actualMd5,
+    };
+  }
+
+  // Queue a job for a list of files and/or every file in a folder, and
+  // transfer them in the background. Resolves as soon as the jobs exist,
+  // with the job of each queued file and the items skipped outright; the
+  // outcome of each transfer is recorded on its job. Every file is written
+  // under `destinationPrefix` and labelled with `tags`.
+  async startBatch(request) {
+    const batch = await this.queueBatch(request);
+    this.runBatch(batch.jobs, request).catch((error) => {
+      console.error("❌ Error running transfer batch:", error);
+    });
+    return batch;
+  }
+
+  // Like startBatch, but resolves once every file of the batch is done
+  async transferBatch(request) {
+    const batch = await this.queueBatch(request);
+    await this.runBatch(batch.jobs, request);
+    return batch;
+  }
+
+  // Collect the files of a batch and create a queued job for each one
+  async queueBatch({ fileIds = [], folderId = null }) {
+    const queue = [...new Set(fileIds)];
+    const skipped = [];
+
+    if (folderId) {
+      console.log(`📁 Enumerating folder: ${folderId}`);
+      const children = await driveService.listFolderFiles(folderId);
+      children.forEach((child) => {
+        if (child.mimeType === DRIVE_CONFIG.FOLDER_MIME_TYPE) {
+          skipped.push({
+            fileId: child.id,
+            fileName: child.name,
+            status: "skipped",
+            reason: "Item is a folder",
+          });
+        } else if (!queue.includes(child.id)) {
+          queue.push(child.id);
+        }
+      });
+    }
+
+    // Callers follow the batch through its jobs, so unlike a single
+    // transfer a batch can't start without them
+    const jobs = await Promise.all(
+      queue.map(async (fileId) => ({
+        fileId,
+        jobId: (await jobService.createJob(fileId)).id,
+      }))
+    );
+
+    return {
+      summary: { total: jobs.length + skipped.length, queued: jobs.length },
+      jobs,
+      skipped,
+    };
+  }
+
+  // Transfer the files of queued jobs, at most
+  // TRANSFER_CONFIG.BATCH_CONCURRENCY at once, logging the batch outcome
+  async runBatch(jobs, { destinationPrefix = null, tags = [] }) {
+    console.log(
+      `📦 Transferring ${jobs.length} files with concurrency ${TRANSFER_CONFIG.BATCH_CONCURRENCY}`
+    );
+
+    const results = await mapWithConcurrency(
+      jobs,
+      TRANSFER_CONFIG.BATCH_CONCURRENCY,
+      async ({ fileId, jobId }) => {
+        try {
+          return await this.transferFile(fileId, {
+            skipExisting: true,
+            jobId,
+            destinationPrefix,
+            tags,
+          });
+        } catch (error) {
+          if (error.code === "FILE_REJECTED") {
+            return { jobId, ...error.rejection, status: "skipped" };
+          }
+          console.error(`❌ Error transferring ${fileId}:`, error.message);
+          return { jobId, fileId, status: "failed", reason: error.message };
+        }
+      }
+    );
+
+    const summary = { transferred: 0, skipped: 0, failed: 0 };
+    results.forEach((result) => {
+      summary[result.status]++;
+    });
+
+    console.log(
+      `✅ Batch complete: ${summary.transferred} transferred, ${summary.skipped} skipped, ${summary.failed} failed`
+    );
+    return summary;
+  }
+}
+
+module.exports = new TransferService();
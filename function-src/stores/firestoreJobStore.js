@@ -0,0 +1,40 @@
+const { Firestore } = require("@google-cloud/firestore");
+
+class FirestoreJobStore {
+  constructor(collectionName) {
+    this.db = new Firestore({
+      ignoreUndefinedProperties: true,
+    });
+    this.collection = this.db.collection(collectionName);
+  }
+
+  async create(job) {
+    await this.collection.doc(job.id).set(job);
+    return job;
+  }
+
+  async update(id, fields) {
+    await this.collection.doc(id).set(fields, { merge: true });
+  }
+
+  async get(id) {
+    const doc = await this.collection.doc(id).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  // Filtering by status and ordering by creation time needs the composite
+  // index declared in main.tf
+  async list({ status, limit }) {
+    let query = this.collection;
+    if (status) {
+      query = query.where("status", "==", status);
+    }
+    const snapshot = await query
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+}
+
+module.exports = FirestoreJobStore;
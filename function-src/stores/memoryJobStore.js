@@ -0,0 +1,28 @@
+// Keeps jobs in process memory, for local runs without Firestore
+class MemoryJobStore {
+  constructor() {
+    this.jobs = new Map();
+  }
+
+  async create(job) {
+    this.jobs.set(job.id, { ...job });
+    return job;
+  }
+
+  async update(id, fields) {
+    this.jobs.set(id, { ...this.jobs.get(id), ...fields });
+  }
+
+  async get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  async list({ status, limit }) {
+    return [...this.jobs.values()]
+      .filter((job) => !status || job.status === status)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .slice(0, limit);
+  }
+}
+
+module.exports = MemoryJobStore;
@@ -0,0 +1,25 @@
+// Run an async worker over every item with at most `limit` calls in flight.
+// Results are returned in the same order as the input items. A limit that
+// isn't a positive number (say, from a mistyped setting) runs one at a time.
+async function mapWithConcurrency(items, limit, worker) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const maxInFlight = Number.isFinite(limit) && limit >= 1 ? limit : 1;
+  const runners = Array.from(
+    { length: Math.max(1, Math.min(maxInFlight, items.length)) },
+    async () => {
+      while (nextIndex < items.length) {
+        const index = nextIndex++;
+        results[index] = await worker(items[index], index);
+      }
+    }
+  );
+
+  await Promise.all(runners);
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency,
+};
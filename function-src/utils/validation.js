@@ -0,0 +1,94 @@
+const { VALIDATION_CONFIG } = require("../config/constants");
+
+function rejection(code, statusCode, reason) {
+  return { code, statusCode, reason };
+}
+
+// Check Drive file metadata against the transfer rules. Returns null when the
+// file may be transferred, otherwise the reason it was rejected.
+function validateFileMetadata(metadata, config = VALIDATION_CONFIG) {
+  const { name, mimeType } = metadata;
+
+  if (!config.ALLOWED_MIME_TYPES.includes(mimeType)) {
+    return rejection(
+      "UNSUPPORTED_MIME_TYPE",
+      415,
+      `MIME type ${mimeType} is not an allowed video type`
+    );
+  }
+
+  const size = Number(metadata.size || 0);
+  if (config.MAX_FILE_SIZE_BYTES && size > config.MAX_FILE_SIZE_BYTES) {
+    return rejection(
+      "FILE_TOO_LARGE",
+      413,
+      `File is ${size} bytes, the limit is ${config.MAX_FILE_SIZE_BYTES} bytes`
+    );
+  }
+
+  if (
+    config.FILENAME_PATTERNS.length > 0 &&
+    !config.FILENAME_PATTERNS.some((pattern) => pattern.test(name))
+  ) {
+    return rejection(
+      "FILENAME_NOT_ALLOWED",
+      422,
+      `File name ${name} does not match any allowed pattern`
+    );
+  }
+
+  const durationMillis = Number(metadata.videoMediaMetadata?.durationMillis);
+  if (durationMillis) {
+    const durationSeconds = durationMillis / 1000;
+    if (
+      config.MIN_DURATION_SECONDS &&
+      durationSeconds < config.MIN_DURATION_SECONDS
+    ) {
+      return rejection(
+        "VIDEO_TOO_SHORT",
+        422,
+        `Video is ${durationSeconds}s long, the minimum is ${config.MIN_DURATION_SECONDS}s`
+      );
+    }
+    if (
+      config.MAX_DURATION_SECONDS &&
+      durationSeconds > config.MAX_DURATION_SECONDS
+    ) {
+      return rejection(
+        "VIDEO_TOO_LONG",
+        422,
+        `Video is ${durationSeconds}s long, the maximum is ${config.MAX_DURATION_SECONDS}s`
+      );
+    }
+  }
+
+  return null;
+}
+
+// Check the routing options of a transfer request. Returns them normalized,
+// or throws when they are unusable.
+function normalizeRouting({ destinationPrefix = null, tags = [] }) {
+  if (
+    !Array.isArray(tags) ||
+    !tags.every((tag) => typeof tag === "string" && !tag.includes(","))
+  ) {
+    throw new Error("'tags' must be an array of strings without commas");
+  }
+  if (destinationPrefix === null || destinationPrefix === "") {
+    return { destinationPrefix: null, tags };
+  }
+  if (typeof destinationPrefix !== "string") {
+    throw new Error("'destinationPrefix' must be a string");
+  }
+
+  const segments = destinationPrefix.split("/").filter(Boolean);
+  if (segments.some((segment) => segment === "." || segment === "..")) {
+    throw new Error("'destinationPrefix' must not contain . or .. segments");
+  }
+  return { destinationPrefix: segments.join("/") || null, tags };
+}
+
+module.exports = {
+  validateFileMetadata,
+  normalizeRouting,
+};
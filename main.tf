@@ -3,6 +3,11 @@ provider "google" {
   region  = var.region
 }
 
+# The project number names the Google-managed service agents
+data "google_project" "current" {
+  project_id = var.project_id
+}
+
 # Create a Cloud Storage Bucket for Function Source Code
 resource "google_storage_bucket" "drive_to_gcs_bucket" {
   name          = "${var.project_id}-bucket"
@@ -49,12 +54,143 @@ resource "google_cloud_run_service" "drive_to_gcs_function" {
           name  = "BUCKET_NAME"
           value = google_storage_bucket.drive_to_gcs_bucket.name
         }
+        env {
+          name  = "DRIVE_WEBHOOK_URL"
+          value = var.drive_webhook_url
+        }
+        env {
+          name  = "DRIVE_CHANNEL_TOKEN"
+          value = var.drive_channel_token
+        }
+        env {
+          name  = "WATCHED_FOLDER_IDS"
+          value = join(",", var.watched_folder_ids)
+        }
+        env {
+          name  = "AUTH_AUDIENCE"
+          value = "transfer-file-service"
+        }
+        env {
+          name  = "AUTH_ALLOWED_SERVICE_ACCOUNTS"
+          value = google_service_account.drive_to_gcs_sa.email
+        }
+        env {
+          name  = "AUTH_HMAC_SECRET"
+          value = var.transfer_hmac_secret
+        }
         ports {
           container_port = 8080
         }
       }
       service_account_name = google_service_account.drive_to_gcs_sa.email
     }
+
+    metadata {
+      annotations = {
+        # Drive notifications are acknowledged before the transfer runs
+        "run.googleapis.com/cpu-throttling" = "false"
+      }
+    }
+  }
+
+  lifecycle {
+    # The notification webhook is public and only checks the channel token
+    precondition {
+      condition     = var.drive_webhook_url == "" || var.drive_channel_token != ""
+      error_message = "drive_channel_token must be set when drive_webhook_url is."
+    }
+  }
+}
+
+# Store the Drive changes channel and page token in Firestore
+resource "google_project_iam_member" "drive_to_gcs_firestore_user" {
+  project = var.project_id
+  role    = "roles/datastore.user"
+  member  = "serviceAccount:${google_service_account.drive_to_gcs_sa.email}"
+}
+
+# Index for listing transfer jobs by status, newest first
+resource "google_firestore_index" "transfer_jobs_by_status" {
+  collection = "transferJobs"
+
+  fields {
+    field_path = "status"
+    order      = "ASCENDING"
+  }
+
+  fields {
+    field_path = "createdAt"
+    order      = "DESCENDING"
+  }
+
+  depends_on = [google_firestore_database.default]
+}
+
+# Indexes the video processor uses to claim the oldest queued job and to
+# find jobs whose lease has expired
+resource "google_firestore_index" "processing_jobs_queued" {
+  collection = "processingJobs"
+
+  fields {
+    field_path = "status"
+    order      = "ASCENDING"
+  }
+
+  fields {
+    field_path = "queuedAt"
+    order      = "ASCENDING"
+  }
+
+  depends_on = [google_firestore_database.default]
+}
+
+resource "google_firestore_index" "processing_jobs_expired_leases" {
+  collection = "processingJobs"
+
+  fields {
+    field_path = "status"
+    order      = "ASCENDING"
+  }
+
+  fields {
+    field_path = "leaseExpiresAt"
+    order      = "ASCENDING"
+  }
+
+  depends_on = [google_firestore_database.default]
+}
+
+# Index for the processor's admin API listing jobs by status, newest first
+resource "google_firestore_index" "processing_jobs_by_status" {
+  collection = "processingJobs"
+
+  fields {
+    field_path = "status"
+    order      = "ASCENDING"
+  }
+
+  fields {
+    field_path = "createdAt"
+    order      = "DESCENDING"
+  }
+
+  depends_on = [google_firestore_database.default]
+}
+
+# Renew the Drive changes channel before it expires
+resource "google_cloud_scheduler_job" "drive_watch_renewal" {
+  name     = "drive-watch-renewal"
+  region   = var.region
+  schedule = "0 * * * *"
+
+  http_target {
+    http_method = "POST"
+    uri         = "${google_cloud_run_service.drive_to_gcs_function.status[0].url}/drive/watch"
+
+    oidc_token {
+      service_account_email = google_service_account.drive_to_gcs_sa.email
+      audience              = "transfer-file-service"
+    }
   }
 }
 
@@ -119,10 +255,38 @@ resource "google_cloud_run_service" "video_processor" {
           name  = "GEMINI_API_KEY"
           value = var.gemini_api_key
         }
+        env {
+          name  = "LLM_EXTRACT_MODEL"
+          value = var.llm_extract_model
+        }
+        env {
+          name  = "LLM_EXTRACT_FALLBACK"
+          value = var.llm_fallback_model
+        }
+        env {
+          name  = "LLM_DOCUMENT_MODEL"
+          value = var.llm_document_model
+        }
+        env {
+          name  = "LLM_DOCUMENT_FALLBACK"
+          value = var.llm_fallback_model
+        }
         env {
           name  = "REGION"
           value = var.region
         }
+        env {
+          name  = "AUTH_AUDIENCE"
+          value = "video-processor-service"
+        }
+        env {
+          name  = "AUTH_ALLOWED_SERVICE_ACCOUNTS"
+          value = google_service_account.video_processor_sa.email
+        }
+        env {
+          name  = "AUTH_HMAC_SECRET"
+          value = var.video_processor_hmac_secret
+        }
         resources {
           limits = {
             memory = "1Gi"
@@ -132,6 +296,15 @@ resource "google_cloud_run_service" "video_processor" {
       }
       service_account_name = google_service_account.video_processor_sa.email
     }
+
+    metadata {
+      annotations = {
+        # Pushes are acknowledged before the video is processed, and one
+        # instance stays up to poll the job queue for expired leases
+        "run.googleapis.com/cpu-throttling" = "false"
+        "autoscaling.knative.dev/minScale"  = "1"
+      }
+    }
   }
 }
 
@@ -146,7 +319,7 @@ resource "google_cloud_run_service_iam_member" "video_processor_allow_unauthenti
 resource "google_pubsub_topic_iam_member" "storage_notification_publisher" {
   topic = google_pubsub_topic.video_processing_topic.name
   role  = "roles/pubsub.publisher"
-  member = "serviceAccount:service-540090171200@gs-project-accounts.iam.gserviceaccount.com"
+  member = "serviceAccount:service-${data.google_project.current.number}@gs-project-accounts.iam.gserviceaccount.com"
 }
 
 # Create Cloud Storage notification for new video uploads
@@ -169,7 +342,57 @@ resource "google_pubsub_subscription" "video_processing_subscription" {
 
   push_config {
     push_endpoint = google_cloud_run_service.video_processor.status[0].url
+
+    # Signed token the video processor verifies before processing a push
+    oidc_token {
+      service_account_email = google_service_account.video_processor_sa.email
+      audience              = "video-processor-service"
+    }
   }
+
+  # Messages the processor keeps rejecting (malformed notifications) end up
+  # in the dead-letter topic instead of being retried forever. Pushes refused
+  # while the job queue is full count as attempts too, hence the headroom.
+  dead_letter_policy {
+    dead_letter_topic     = google_pubsub_topic.video_processing_dead_letter_topic.id
+    max_delivery_attempts = 15
+  }
+
+  retry_policy {
+    minimum_backoff = "10s"
+    maximum_backoff = "600s"
+  }
+}
+
+# Dead-letter topic, with a subscription that keeps its messages for review
+resource "google_pubsub_topic" "video_processing_dead_letter_topic" {
+  name = "video-processing-dead-letter-topic"
+}
+
+resource "google_pubsub_subscription" "video_processing_dead_letter_subscription" {
+  name                       = "video-processing-dead-letter-subscription"
+  topic                      = google_pubsub_topic.video_processing_dead_letter_topic.name
+  message_retention_duration = "604800s" # 7 days
+}
+
+# Let Pub/Sub forward undeliverable messages to the dead-letter topic
+resource "google_pubsub_topic_iam_member" "dead_letter_publisher" {
+  topic  = google_pubsub_topic.video_processing_dead_letter_topic.name
+  role   = "roles/pubsub.publisher"
+  member = "serviceAccount:service-${data.google_project.current.number}@gcp-sa-pubsub.iam.gserviceaccount.com"
+}
+
+resource "google_pubsub_subscription_iam_member" "dead_letter_subscriber" {
+  subscription = google_pubsub_subscription.video_processing_subscription.name
+  role         = "roles/pubsub.subscriber"
+  member       = "serviceAccount:service-${data.google_project.current.number}@gcp-sa-pubsub.iam.gserviceaccount.com"
+}
+
+# Let Pub/Sub mint OIDC tokens for push requests
+resource "google_service_account_iam_member" "pubsub_token_creator" {
+  service_account_id = google_service_account.video_processor_sa.name
+  role               = "roles/iam.serviceAccountTokenCreator"
+  member             = "serviceAccount:service-${data.google_project.current.number}@gcp-sa-pubsub.iam.gserviceaccount.com"
 }
 
 # Grant Pub/Sub publisher role
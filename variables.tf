@@ -12,4 +12,53 @@ variable "gemini_api_key" {
   description = "API key for Google's Gemini AI"
   type        = string
   sensitive   = true
-}
\ No newline at end of file
+}
+
+variable "llm_extract_model" {
+  description = "Provider and model (\"provider:model\") extracting property details"
+  type        = string
+  default     = "openai"
+}
+
+variable "llm_document_model" {
+  description = "Provider and model (\"provider:model\") writing the listing document"
+  type        = string
+  default     = "openai"
+}
+
+variable "llm_fallback_model" {
+  description = "Provider and model used when a stage's primary LLM fails"
+  type        = string
+  default     = "gemini"
+}
+
+variable "drive_webhook_url" {
+  description = "Public URL of the transfer service's /drive/notifications route"
+  type        = string
+  default     = ""
+}
+
+variable "drive_channel_token" {
+  description = "Shared secret Drive echoes back on every change notification. Required when drive_webhook_url is set."
+  type        = string
+  sensitive   = true
+  default     = ""
+}
+
+variable "watched_folder_ids" {
+  description = "Drive folder IDs whose new videos are transferred automatically"
+  type        = list(string)
+  default     = []
+}
+
+variable "transfer_hmac_secret" {
+  description = "Shared secret for HMAC signed requests to the transfer service"
+  type        = string
+  sensitive   = true
+}
+
+variable "video_processor_hmac_secret" {
+  description = "Shared secret for HMAC signed requests to the video processor"
+  type        = string
+  sensitive   = true
+}
@@ -0,0 +1,275 @@
+#!/usr/bin/env node
+const fs = require("fs");
+const { parseArgs } = require("util");
+const { PIPELINE_CONFIG } = require("./config/constants");
+const { formatSeenAt } = require("./utils/evidence");
+
+const USAGE = `Usage: video-processor analyze gs://<bucket>/<file> [options]
+
+Runs the processing pipeline on one video and prints the results.
+
+Options:
+  --only <stages>      Run only these stages (comma separated), taking the
+                       outputs of the others from their checkpoints
+  --from <stage>       Rerun this stage and the ones after it
+  --force              Rerun every stage
+  --generation <gen>   Checkpoint generation to resume (default: none)
+  --output <format>    json or md (default: md)
+  --out <file>         Save the results to a file instead of printing them
+  --no-doc             Don't write the listing document
+  --no-store           Don't write anything to Firestore
+  -h, --help           Show this help
+
+Stages: ${PIPELINE_CONFIG.STAGES.join(", ")}
+
+With MOCK_SERVICES=true, checkpoints only last as long as the command, so
+--only and --from need the Firestore emulator (FIRESTORE_EMULATOR_HOST) to
+reuse the outputs of an earlier run.`;
+
+const OUTPUT_FORMATS = ["json", "md"];
+
+function usageError(message) {
+  const error = new Error(message);
+  error.code = "USAGE";
+  return error;
+}
+
+function parseStages(value, option) {
+  const stages = value
+    .split(",")
+    .map((stage) => stage.trim())
+    .filter(Boolean);
+  const unknown = stages.filter(
+    (stage) => !PIPELINE_CONFIG.STAGES.includes(stage)
+  );
+  if (stages.length === 0 || unknown.length > 0) {
+    throw usageError(
+      `${option} takes stages from: ${PIPELINE_CONFIG.STAGES.join(", ")}`
+    );
+  }
+  return stages;
+}
+
+function parseGcsUri(uri) {
+  const match = /^gs:\/\/([^/]+)\/(.+)$/.exec(uri || "");
+  if (!match) {
+    throw usageError(`Expected a gs://<bucket>/<file> URI, got ${uri}`);
+  }
+  return { bucketName: match[1], fileName: match[2] };
+}
+
+function parseCommandLine(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      only: { type: "string" },
+      from: { type: "string" },
+      force: { type: "boolean", default: false },
+      generation: { type: "string" },
+      output: { type: "string", default: "md" },
+      out: { type: "string" },
+      "no-doc": { type: "boolean", default: false },
+      "no-store": { type: "boolean", default: false },
+      help: { type: "boolean", short: "h", default: false },
+    },
+  });
+  if (values.help) {
+    return { help: true };
+  }
+
+  const [command, uri, ...extra] = positionals;
+  if (command !== "analyze" || extra.length > 0) {
+    throw usageError(
+      command && command !== "analyze"
+        ? `Unknown command: ${command}`
+        : "Expected: analyze gs://<bucket>/<file>"
+    );
+  }
+  if (!OUTPUT_FORMATS.includes(values.output)) {
+    throw usageError(`--output takes one of: ${OUTPUT_FORMATS.join(", ")}`);
+  }
+  if (values.force && values.from) {
+    throw usageError("Use either --force or --from");
+  }
+
+  return {
+    ...parseGcsUri(uri),
+    output: values.output,
+    out: values.out,
+    options: {
+      generation: values.generation ?? null,
+      force: values.from
+        ? parseStages(values.from, "--from").slice(0, 1)
+        : values.force,
+      only: values.only ? parseStages(values.only, "--only") : null,
+      document: !values["no-doc"],
+      store: !values["no-store"],
+    },
+  };
+}
+
+// ", seen at 00:02 (...)" for values with evidence
+function formatEvidence(evidence) {
+  return evidence && evidence.length > 0 ? `, ${formatSeenAt(evidence)}` : "";
+}
+
+function formatAssessment(assessment) {
+  if (!assessment || assessment.value === undefined) {
+    return "Not specified";
+  }
+  return `${assessment.value} (${
+    assessment.confidence
+  }% confidence${formatEvidence(assessment.evidence)})`;
+}
+
+// List items are strings, or { value, evidence } where they are cited
+function formatList(items) {
+  return items && items.length > 0
+    ? items
+        .map((item) =>
+          typeof item === "string"
+            ? `- ${item}`
+            : `- ${item.value}${formatEvidence(item.evidence)}`
+        )
+        .join("\n")
+    : "- None detected";
+}
+
+function formatMarkdown(gcsUri, result) {
+  const { annotations, propertyDetails, listing } = result;
+  const sections = [
+    `# ${gcsUri}`,
+    `Stages run: ${result.stages.join(", ") || "none"}`,
+    [
+      "## Annotations",
+      `- Transcription: ${annotations.transcription.length} characters`,
+      `- Objects: ${annotations.objects.length}`,
+      `- Labels: ${annotations.labels.length}`,
+      `- Text: ${annotations.text.length}`,
+    ].join("\n"),
+  ];
+
+  if (propertyDetails) {
+    const { propertyOverview = {}, specifications = {} } = propertyDetails;
+    sections.push(
+      [
+        "## Overview",
+        `- Type: ${formatAssessment(propertyOverview.type)}`,
+        `- Style: ${formatAssessment(propertyOverview.style)}`,
+        `- Condition: ${formatAssessment(propertyOverview.condition)}`,
+      ].join("\n"),
+      [
+        "## Specifications",
+        ...Object.entries(specifications).map(
+          ([name, assessment]) => `- ${name}: ${formatAssessment(assessment)}`
+        ),
+      ].join("\n"),
+      ...Object.entries(propertyDetails.features || {}).map(
+        ([name, items]) => `## Features: ${name}\n${formatList(items)}`
+      ),
+      `## Materials\n${formatList(
+        propertyDetails.constructionDetails?.materials
+      )}`,
+      ...(propertyDetails.roomAnalysis || []).map(
+        (room) =>
+          `## Room: ${room.room} (${
+            room.confidence
+          }% confidence${formatEvidence(room.evidence)})\n${formatList([
+            ...(room.features || []),
+            ...(room.highlights || []),
+          ])}`
+      )
+    );
+  }
+
+  if (result.promptBudget) {
+    const { transcript, ...sources } = result.promptBudget;
+    sections.push(
+      [
+        `## Prompt budget (${result.promptBudget.contextWindow} token context)`,
+        `- Transcript: ${transcript.tokens} tokens${
+          transcript.summarized
+            ? `, summarized from ${transcript.chunks} chunks`
+            : ""
+        }${transcript.truncated ? ", cut off" : ""}`,
+        ...["labels", "objects", "text"].map(
+          (source) =>
+            `- ${source}: kept ${sources[source].kept} of ${sources[source].total}`
+        ),
+      ].join("\n")
+    );
+  }
+
+  if (listing) {
+    sections.push(`## Listing\n${listing.viewLink}`);
+  }
+  return `${sections.join("\n\n")}\n`;
+}
+
+async function main() {
+  let commandLine;
+  try {
+    commandLine = parseCommandLine(process.argv.slice(2));
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (commandLine.help) {
+    console.log(USAGE);
+    return 0;
+  }
+
+  // Progress goes to stderr so the results can be piped or redirected
+  console.log = console.error;
+
+  // Loaded after parsing, so --help doesn't connect to any service
+  const { processVideo, readSourceFileInfo } = require("./services/pipeline");
+
+  const { bucketName, fileName, output, out, options } = commandLine;
+  const gcsUri = `gs://${bucketName}/${fileName}`;
+  try {
+    // The Drive file the transfer service copied, as the push route gets it
+    const source = await readSourceFileInfo(bucketName, fileName);
+    const result = await processVideo(
+      bucketName,
+      fileName,
+      "cli",
+      source,
+      options
+    );
+
+    const formatted =
+      output === "json"
+        ? `${JSON.stringify(
+            {
+              file: gcsUri,
+              stages: result.stages,
+              summary: result.simplifiedSummary,
+              propertyDetails: result.propertyDetails,
+              promptBudget: result.promptBudget,
+              listing: result.listing,
+              annotations: result.annotations,
+            },
+            null,
+            2
+          )}\n`
+        : formatMarkdown(gcsUri, result);
+    if (out) {
+      fs.writeFileSync(out, formatted);
+      console.log(`[${new Date().toISOString()}] 💾 Results saved to ${out}`);
+    } else {
+      process.stdout.write(formatted);
+    }
+    return 0;
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] ❌ Analysis of ${gcsUri} failed:`,
+      error.message
+    );
+    return 1;
+  }
+}
+
+// The cloud clients keep connections open, so exit explicitly
+main().then((code) => process.exit(code));
@@ -1,37 +1,123 @@
+const os = require("os");
+const path = require("path");
+
+// Split a comma separated environment variable into a list
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
 // API Configuration
 const API_CONFIG = {
   LANGUAGE_CODE: "en-US",
   ENABLE_AUTOMATIC_PUNCTUATION: true,
+  // Times every transcribed word, so extracted facts can cite when they
+  // were said
+  ENABLE_WORD_TIME_OFFSETS: true,
+};
+
+// Evidence Citations. A cited time may be this far from the annotation it
+// quotes and still count as verified.
+const EVIDENCE_CONFIG = {
+  TIME_TOLERANCE_SECONDS: 3,
+};
+
+// Parse a "provider:model" setting such as "gemini:gemini-1.5-flash". The
+// model may be left out to use the provider's default.
+function parseModelSetting(value) {
+  if (!value) return null;
+  const [provider, ...model] = value.split(":");
+  return {
+    provider: provider.trim().toLowerCase(),
+    model: model.join(":").trim() || null,
+  };
+}
+
+// LLM Configuration. Each stage uses a primary provider and model, and
+// fails over to the optional fallback when the primary errors.
+const LLM_CONFIG = {
+  PROVIDERS: ["openai", "gemini", "fixture"],
+  DEFAULT_MODELS: {
+    // 16k context and JSON mode
+    openai: "gpt-3.5-turbo",
+    gemini: "gemini-1.5-flash",
+    fixture: "fixture",
+  },
+  STAGES: {
+    extract: {
+      primary: parseModelSetting(process.env.LLM_EXTRACT_MODEL || "openai"),
+      fallback: parseModelSetting(process.env.LLM_EXTRACT_FALLBACK),
+    },
+    document: {
+      primary: parseModelSetting(process.env.LLM_DOCUMENT_MODEL || "openai"),
+      fallback: parseModelSetting(process.env.LLM_DOCUMENT_FALLBACK),
+    },
+  },
+  // Answers to a structured request, including re-asks after a response
+  // fails schema validation
+  SCHEMA_ATTEMPTS: parseInt(process.env.LLM_SCHEMA_ATTEMPTS || "3", 10),
+  // Validation errors quoted back in a re-ask; the rest are only counted
+  MAX_SCHEMA_ERRORS_SHOWN: 20,
+  // Context window of each model in tokens. LLM_CONTEXT_WINDOWS may hold a
+  // JSON object adding models, e.g. {"gpt-4o-2024-08-06": 128000}. Unknown
+  // models get DEFAULT_CONTEXT_WINDOW.
+  CONTEXT_WINDOWS: {
+    "gpt-3.5-turbo": 16385,
+    "gpt-4": 8192,
+    "gpt-4-turbo": 128000,
+    "gpt-4o": 128000,
+    "gpt-4o-mini": 128000,
+    "gemini-1.5-flash": 1048576,
+    "gemini-1.5-pro": 2097152,
+    // Small enough that offline runs exercise the prompt budgets
+    fixture: 16385,
+    ...JSON.parse(process.env.LLM_CONTEXT_WINDOWS || "{}"),
+  },
+  DEFAULT_CONTEXT_WINDOW: 8192,
+  // Left free in every prompt, as the fallback provider may count tokens
+  // differently from the primary one
+  PROMPT_HEADROOM_TOKENS: 500,
+  // Transcripts too long for their prompt are summarized in chunks of this
+  // many tokens, and the summaries combined
+  TRANSCRIPT_CHUNK_TOKENS: parseInt(
+    process.env.LLM_TRANSCRIPT_CHUNK_TOKENS || "6000",
+    10
+  ),
+  SUMMARY_MAX_TOKENS: 800,
+  // Rounds of summarizing the summaries before the rest is cut off
+  MAX_SUMMARY_LEVELS: 3,
+  // Canned responses served by the fixture provider, one file per request
+  FIXTURE_DIR:
+    process.env.LLM_FIXTURE_DIR ||
+    path.join(__dirname, "..", "fixtures", "llm"),
+};
+
+// Offline Mode. With MOCK_SERVICES=true every cloud service is replaced by a
+// local stand-in driven by the fixture directories: buckets are folders,
+// Video Intelligence responses and LLM answers are recorded files, Firestore
+// is kept in memory (or the emulator at FIRESTORE_EMULATOR_HOST), and
+// listings are written to OUTPUT_DIR. Replay a recorded Pub/Sub push with
+//   curl -X POST localhost:8080/ -H "Content-Type: application/json" \
+//     -d @fixtures/pubsub/sample-tour.json
+const MOCK_CONFIG = {
+  ENABLED: process.env.MOCK_SERVICES === "true",
+  BUCKET_DIR:
+    process.env.MOCK_BUCKET_DIR ||
+    path.join(__dirname, "..", "fixtures", "buckets"),
+  VIDEO_INTELLIGENCE_DIR:
+    process.env.MOCK_VIDEO_INTELLIGENCE_DIR ||
+    path.join(__dirname, "..", "fixtures", "videoIntelligence"),
+  OUTPUT_DIR:
+    process.env.MOCK_OUTPUT_DIR ||
+    path.join(os.tmpdir(), "video-processor", "listings"),
 };
 
-// Feature Keywords
-const KEYWORDS = {
-  ROOMS: [
-    "kitchen",
-    "bedroom",
-    "bathroom",
-    "living room",
-    "dining room",
-    "garage",
-    "basement",
-  ],
-  STYLES: [
-    "modern",
-    "traditional",
-    "contemporary",
-    "classic",
-    "minimalist",
-    "rustic",
-  ],
-  MATERIALS: [
-    "wood",
-    "marble",
-    "granite",
-    "stainless steel",
-    "ceramic",
-    "glass",
-    "concrete",
-  ],
+// Property Taxonomy. Vocabularies differ between markets, so a different
+// file, JSON or YAML, can be supplied with TAXONOMY_PATH.
+const TAXONOMY_CONFIG = {
+  PATH: process.env.TAXONOMY_PATH || path.join(__dirname, "taxonomy.json"),
 };
 
 // API Features
@@ -39,17 +125,144 @@ const API_FEATURES = {
   TRANSCRIPTION: ["SPEECH_TRANSCRIPTION"],
   LABEL_DETECTION: ["LABEL_DETECTION"],
   TEXT_DETECTION: ["TEXT_DETECTION"],
+  OBJECT_TRACKING: ["OBJECT_TRACKING"],
+};
+
+// Video Analysis Configuration. Every API_FEATURES key listed in
+// VIDEO_FEATURES is requested in a single annotateVideo operation.
+const ANALYSIS_CONFIG = {
+  FEATURES: parseList(
+    process.env.VIDEO_FEATURES ||
+      "TRANSCRIPTION,LABEL_DETECTION,TEXT_DETECTION,OBJECT_TRACKING"
+  ),
+  // Bounding boxes kept per object track, sampled evenly along it
+  MAX_TRACK_FRAMES: 10,
 };
 
 // Queue Configuration
 const QUEUE_CONFIG = {
-  MAX_SIZE: 10,
-  PROCESSING_DELAY: 12000, // 12 seconds
+  COLLECTION: "processingJobs",
+  STATUSES: {
+    QUEUED: "queued",
+    RUNNING: "running",
+    DONE: "done",
+    FAILED: "failed",
+    CANCELLED: "cancelled",
+  },
+  DEFAULT_LIST_LIMIT: 50,
+  MAX_LIST_LIMIT: 500,
+  // Videos processed at once by each instance
+  CONCURRENCY: parseInt(process.env.WORKER_CONCURRENCY || "3", 10),
+  // Pushes are refused with a 429 while this many jobs are waiting
+  MAX_QUEUE_SIZE: parseInt(process.env.MAX_QUEUE_SIZE || "100", 10),
+  LEASE_MS: 5 * 60 * 1000, // 5 minutes
+  HEARTBEAT_MS: 60 * 1000, // 1 minute
+  // Looks for queued work and expired leases even when no request arrives
+  POLL_INTERVAL_MS: 30 * 1000, // 30 seconds
+  // Claims per job, so a video whose worker keeps dying is given up on
+  MAX_ATTEMPTS: 3,
+};
+
+// Rate Limits, per minute and per instance. A limit of 0 turns it off.
+const RATE_LIMIT_CONFIG = {
+  VIDEO_INTELLIGENCE_REQUESTS: parseInt(
+    process.env.RATE_LIMIT_VIDEO_INTELLIGENCE_RPM || "30",
+    10
+  ),
+  OPENAI_REQUESTS: parseInt(process.env.RATE_LIMIT_OPENAI_RPM || "60", 10),
+  OPENAI_TOKENS: parseInt(process.env.RATE_LIMIT_OPENAI_TPM || "90000", 10),
+  GEMINI_REQUESTS: parseInt(process.env.RATE_LIMIT_GEMINI_RPM || "60", 10),
+  GEMINI_TOKENS: parseInt(process.env.RATE_LIMIT_GEMINI_TPM || "1000000", 10),
+  // Docs and Drive writes share the per-user write quota
+  GOOGLE_WRITES: parseInt(process.env.RATE_LIMIT_GOOGLE_WRITES_RPM || "60", 10),
+  // Rough prompt size for token estimates before the real usage is known
+  CHARS_PER_TOKEN: 4,
+};
+
+// Processing stages, in the order they run. Each one checkpoints its output
+// in the videoAnalysis document so a retry resumes after the last one done.
+const PIPELINE_CONFIG = {
+  STAGES: ["annotate", "extract", "document", "store"],
+};
+
+// Retry policy for each processing stage. RETRY_POLICIES may hold a JSON
+// object overriding any of them, e.g. {"extract": {"maxAttempts": 5}}
+const RETRY_OVERRIDES = JSON.parse(process.env.RETRY_POLICIES || "{}");
+const DEFAULT_RETRY_POLICIES = {
+  // Checking the video exists in GCS before the stages run
+  source: { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 15000 },
+  annotate: { maxAttempts: 3, baseDelayMs: 10000, maxDelayMs: 120000 },
+  extract: { maxAttempts: 4, baseDelayMs: 5000, maxDelayMs: 60000 },
+  document: { maxAttempts: 3, baseDelayMs: 2000, maxDelayMs: 30000 },
+  store: { maxAttempts: 5, baseDelayMs: 1000, maxDelayMs: 15000 },
+};
+
+const RETRY_CONFIG = {
+  POLICIES: Object.fromEntries(
+    Object.entries(DEFAULT_RETRY_POLICIES).map(([stage, policy]) => [
+      stage,
+      { ...policy, ...RETRY_OVERRIDES[stage] },
+    ])
+  ),
+  // Longer Retry-After values are cut short so a job can't sit on its lease
+  MAX_RETRY_AFTER_MS: 5 * 60 * 1000, // 5 minutes
+  DEAD_LETTER_COLLECTION: "processingDeadLetters",
+};
+
+// Request Authentication Configuration
+const AUTH_CONFIG = {
+  // Only for local runs, never set in a deployed service
+  DISABLED: process.env.AUTH_DISABLED === "true",
+  AUDIENCE: parseList(process.env.AUTH_AUDIENCE),
+  ALLOWED_SERVICE_ACCOUNTS: parseList(
+    process.env.AUTH_ALLOWED_SERVICE_ACCOUNTS
+  ),
+  HMAC_SECRET: process.env.AUTH_HMAC_SECRET,
+  HMAC_MAX_SKEW_SECONDS: 300,
+};
+
+// Drive Status Write-back Configuration. Each pipeline stage is recorded on
+// the source Drive file as appProperties and a line in its description.
+const DRIVE_STATUS_CONFIG = {
+  ENABLED: process.env.DRIVE_STATUS_WRITEBACK !== "false",
+  SCOPES: ["https://www.googleapis.com/auth/drive.metadata"],
+  STATUSES: {
+    TRANSFERRED: "transferred",
+    ANALYZING: "analyzing",
+    DONE: "done",
+    FAILED: "failed",
+  },
+  // Order of the stages. Within one attempt a status is never replaced by
+  // one of an earlier stage.
+  STAGE_RANKS: {
+    transferred: 1,
+    analyzing: 2,
+    done: 3,
+    failed: 3,
+  },
+  PROPERTY_KEYS: {
+    STATUS: "analysisStatus",
+    UPDATED_AT: "analysisUpdatedAt",
+    LISTING_ID: "analysisListingId",
+    ERROR: "analysisError",
+  },
+  // Drive limits each property's key and value to 124 bytes combined
+  MAX_PROPERTY_BYTES: 124,
+  DESCRIPTION_PREFIX: "Property analysis:",
 };
 
 module.exports = {
   API_CONFIG,
-  KEYWORDS,
+  TAXONOMY_CONFIG,
+  LLM_CONFIG,
+  MOCK_CONFIG,
+  EVIDENCE_CONFIG,
   API_FEATURES,
+  ANALYSIS_CONFIG,
   QUEUE_CONFIG,
+  RATE_LIMIT_CONFIG,
+  PIPELINE_CONFIG,
+  RETRY_CONFIG,
+  AUTH_CONFIG,
+  DRIVE_STATUS_CONFIG,
 };
@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+// Stand-in for the Cloud Storage client, serving objects from
+// <root>/<bucket>/<object name>. An object's custom metadata, if it has
+// any, is read from <object name>.metadata.json next to it.
+class FileSystemStorage {
+  constructor(root) {
+    this.root = root;
+  }
+
+  bucket(bucketName) {
+    return {
+      name: bucketName,
+      file: (fileName) => {
+        const filePath = path.join(this.root, bucketName, fileName);
+        return {
+          name: fileName,
+          exists: async () => [fs.existsSync(filePath)],
+          getMetadata: async () => {
+            if (!fs.existsSync(filePath)) {
+              const error = new Error(
+                `No such object: ${bucketName}/${fileName}`
+              );
+              error.code = 404;
+              throw error;
+            }
+            const metadataPath = `${filePath}.metadata.json`;
+            return [
+              {
+                bucket: bucketName,
+                name: fileName,
+                metadata: fs.existsSync(metadataPath)
+                  ? JSON.parse(fs.readFileSync(metadataPath, "utf8"))
+                  : {},
+              },
+            ];
+          },
+        };
+      },
+    };
+  }
+}
+
+module.exports = FileSystemStorage;
@@ -0,0 +1,25 @@
+const fs = require("fs");
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+// Stand-in for creating the listing in Google Docs: writes it to
+// <directory>/<name>.txt and links to the file
+class LocalDocumentWriter {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async createDocument(name, content) {
+    fs.mkdirSync(this.directory, { recursive: true });
+    const filePath = path.join(this.directory, `${name}.txt`);
+    fs.writeFileSync(filePath, content);
+
+    const link = pathToFileURL(filePath).href;
+    console.log(
+      `[${new Date().toISOString()}] ✅ Document written locally: ${filePath}`
+    );
+    return { fileId: `local:${name}`, viewLink: link, downloadLink: link };
+  }
+}
+
+module.exports = LocalDocumentWriter;
@@ -0,0 +1,327 @@
+const crypto = require("crypto");
+const { Timestamp } = require("@google-cloud/firestore");
+
+// In-memory stand-in for the part of the Firestore client the services
+// use: documents, merges, FieldValue sentinels, simple queries, counts and
+// transactions. Data lives until the process exits.
+
+function isPlainObject(value) {
+  return (
+    value !== null &&
+    typeof value === "object" &&
+    Object.getPrototypeOf(value) === Object.prototype
+  );
+}
+
+// FieldValue.serverTimestamp(), .delete(), .arrayUnion() and so on
+function sentinelOf(value) {
+  return value && typeof value.methodName === "string"
+    ? value.methodName.replace("FieldValue.", "")
+    : null;
+}
+
+function clone(value) {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  return value;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// The value a field takes when `value` is written over `current`
+function resolveValue(current, value) {
+  switch (sentinelOf(value)) {
+    case "serverTimestamp":
+      return Timestamp.now();
+    case "arrayUnion": {
+      const array = Array.isArray(current) ? [...current] : [];
+      value.elements.forEach((element) => {
+        if (!array.some((item) => sameValue(item, element))) {
+          array.push(clone(element));
+        }
+      });
+      return array;
+    }
+    case "arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (item) => !value.elements.some((element) => sameValue(item, element))
+      );
+    case "increment":
+      return (typeof current === "number" ? current : 0) + value.operand;
+    default:
+      if (Array.isArray(value))
+        return value.map((item) => resolveValue(null, item));
+      if (isPlainObject(value)) return writeFields({}, value, false);
+      return value;
+  }
+}
+
+// Write `data` into `target`, merging nested maps when `merge` is set.
+// Undefined values are skipped, like ignoreUndefinedProperties.
+function writeFields(target, data, merge) {
+  Object.entries(data).forEach(([key, value]) => {
+    if (value === undefined) return;
+    if (sentinelOf(value) === "delete") {
+      delete target[key];
+    } else if (merge && isPlainObject(value) && isPlainObject(target[key])) {
+      writeFields(target[key], value, true);
+    } else {
+      target[key] = resolveValue(target[key], value);
+    }
+  });
+  return target;
+}
+
+function getField(data, fieldPath) {
+  return fieldPath
+    .split(".")
+    .reduce(
+      (value, key) => (isPlainObject(value) ? value[key] : undefined),
+      data
+    );
+}
+
+function comparable(value) {
+  return value instanceof Timestamp ? value.toMillis() : value;
+}
+
+function compare(a, b) {
+  const [x, y] = [comparable(a), comparable(b)];
+  if (x === y) return 0;
+  return x < y ? -1 : 1;
+}
+
+const OPERATORS = {
+  "==": (a, b) => sameValue(a, b),
+  "!=": (a, b) => !sameValue(a, b),
+  "<": (a, b) => compare(a, b) < 0,
+  "<=": (a, b) => compare(a, b) <= 0,
+  ">": (a, b) => compare(a, b) > 0,
+  ">=": (a, b) => compare(a, b) >= 0,
+  in: (a, b) => b.some((item) => sameValue(a, item)),
+};
+
+function notFoundError(path) {
+  const error = new Error(`No document to update: ${path}`);
+  error.code = 5;
+  return error;
+}
+
+function snapshotOf(ref, data) {
+  return {
+    id: ref.id,
+    ref,
+    exists: data !== undefined,
+    data: () => (data === undefined ? undefined : clone(data)),
+  };
+}
+
+class MemoryDocumentReference {
+  constructor(store, collectionName, id) {
+    this.store = store;
+    this.collectionName = collectionName;
+    this.id = id;
+    this.path = `${collectionName}/${id}`;
+  }
+
+  async get() {
+    return snapshotOf(
+      this,
+      this.store.documents(this.collectionName).get(this.id)
+    );
+  }
+
+  async set(data, { merge = false } = {}) {
+    this.store.write(this, "set", data, merge);
+  }
+
+  async update(data) {
+    this.store.write(this, "update", data);
+  }
+
+  async delete() {
+    this.store.write(this, "delete");
+  }
+}
+
+class MemoryQuery {
+  constructor(store, collectionName, filters = [], order = [], limitTo = null) {
+    this.store = store;
+    this.collectionName = collectionName;
+    this.filters = filters;
+    this.order = order;
+    this.limitTo = limitTo;
+  }
+
+  doc(id = crypto.randomUUID()) {
+    return new MemoryDocumentReference(this.store, this.collectionName, id);
+  }
+
+  where(field, operator, value) {
+    if (!OPERATORS[operator]) {
+      throw new Error(`Unsupported operator in memory Firestore: ${operator}`);
+    }
+    return new MemoryQuery(
+      this.store,
+      this.collectionName,
+      [...this.filters, { field, operator, value }],
+      this.order,
+      this.limitTo
+    );
+  }
+
+  orderBy(field, direction = "asc") {
+    return new MemoryQuery(
+      this.store,
+      this.collectionName,
+      this.filters,
+      [...this.order, { field, direction }],
+      this.limitTo
+    );
+  }
+
+  limit(limitTo) {
+    return new MemoryQuery(
+      this.store,
+      this.collectionName,
+      this.filters,
+      this.order,
+      limitTo
+    );
+  }
+
+  // Like Firestore, documents without an ordered field are left out
+  matches() {
+    let entries = [...this.store.documents(this.collectionName)].filter(
+      ([, data]) =>
+        this.filters.every(({ field, operator, value }) => {
+          const fieldValue = getField(data, field);
+          return (
+            fieldValue !== undefined && OPERATORS[operator](fieldValue, value)
+          );
+        }) &&
+        this.order.every(({ field }) => getField(data, field) !== undefined)
+    );
+    entries.sort(([, a], [, b]) => {
+      for (const { field, direction } of this.order) {
+        const result = compare(getField(a, field), getField(b, field));
+        if (result !== 0) return direction === "desc" ? -result : result;
+      }
+      return 0;
+    });
+    if (this.limitTo !== null) {
+      entries = entries.slice(0, this.limitTo);
+    }
+    return entries;
+  }
+
+  async get() {
+    const docs = this.matches().map(([id, data]) =>
+      snapshotOf(this.doc(id), data)
+    );
+    return { docs, empty: docs.length === 0, size: docs.length };
+  }
+
+  count() {
+    return {
+      get: async () => {
+        const count = this.matches().length;
+        return { data: () => ({ count }) };
+      },
+    };
+  }
+}
+
+class MemoryTransaction {
+  constructor(store) {
+    this.store = store;
+    this.writes = [];
+  }
+
+  async get(refOrQuery) {
+    return refOrQuery.get();
+  }
+
+  set(ref, data, { merge = false } = {}) {
+    this.writes.push([ref, "set", data, merge]);
+    return this;
+  }
+
+  update(ref, data) {
+    this.writes.push([ref, "update", data]);
+    return this;
+  }
+
+  delete(ref) {
+    this.writes.push([ref, "delete"]);
+    return this;
+  }
+}
+
+class MemoryFirestore {
+  constructor() {
+    this.collections = new Map();
+    // Transactions run one at a time, which gives them the isolation the
+    // job queue's claims rely on
+    this.lock = Promise.resolve();
+  }
+
+  documents(collectionName) {
+    if (!this.collections.has(collectionName)) {
+      this.collections.set(collectionName, new Map());
+    }
+    return this.collections.get(collectionName);
+  }
+
+  collection(collectionName) {
+    return new MemoryQuery(this, collectionName);
+  }
+
+  write(ref, type, data, merge = false) {
+    const documents = this.documents(ref.collectionName);
+    const current = documents.get(ref.id);
+
+    if (type === "delete") {
+      documents.delete(ref.id);
+    } else if (type === "update") {
+      if (!current) throw notFoundError(ref.path);
+      const updated = clone(current);
+      Object.entries(data).forEach(([fieldPath, value]) => {
+        const keys = fieldPath.split(".");
+        const parent = keys
+          .slice(0, -1)
+          .reduce(
+            (target, key) =>
+              (target[key] = isPlainObject(target[key]) ? target[key] : {}),
+            updated
+          );
+        writeFields(parent, { [keys[keys.length - 1]]: value }, false);
+      });
+      documents.set(ref.id, updated);
+    } else {
+      documents.set(
+        ref.id,
+        writeFields(merge && current ? clone(current) : {}, data, merge)
+      );
+    }
+  }
+
+  runTransaction(updateFunction) {
+    const run = this.lock.then(async () => {
+      const transaction = new MemoryTransaction(this);
+      const result = await updateFunction(transaction);
+      transaction.writes.forEach((write) => this.write(...write));
+      return result;
+    });
+    this.lock = run.catch(() => {});
+    return run;
+  }
+}
+
+module.exports = MemoryFirestore;
@@ -0,0 +1,49 @@
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+
+function recordingNotFoundError(fileName, directory) {
+  const error = new Error(
+    `No recorded Video Intelligence response for ${fileName} in ${directory}`
+  );
+  error.code = "FIXTURE_NOT_FOUND";
+  error.retryable = false;
+  return error;
+}
+
+// Stand-in for the Video Intelligence client. A request for
+// gs://<bucket>/<name> is answered with the AnnotateVideoResponse recorded in
+// <directory>/<name>.json, or <directory>/default.json when there is none.
+class RecordedVideoIntelligenceClient {
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  async annotateVideo(request) {
+    const fileName = request.inputUri.replace(/^gs:\/\/[^/]+\//, "");
+    const recording = [
+      path.join(this.directory, `${fileName}.json`),
+      path.join(this.directory, "default.json"),
+    ].find((file) => fs.existsSync(file));
+    if (!recording) {
+      throw recordingNotFoundError(fileName, this.directory);
+    }
+    const response = JSON.parse(fs.readFileSync(recording, "utf8"));
+
+    // Reports every feature complete, as a finished operation would
+    const operation = new EventEmitter();
+    operation.promise = async () => {
+      operation.emit("progress", {
+        annotationProgress: request.features.map((feature) => ({
+          inputUri: request.inputUri,
+          feature,
+          progressPercent: 100,
+        })),
+      });
+      return [response];
+    };
+    return [operation];
+  }
+}
+
+module.exports = RecordedVideoIntelligenceClient;
@@ -0,0 +1,58 @@
+const { Firestore } = require("@google-cloud/firestore");
+const { Storage } = require("@google-cloud/storage");
+const videoIntelligence = require("@google-cloud/video-intelligence");
+const { MOCK_CONFIG } = require("../config/constants");
+
+// Cloud clients, or their local stand-ins when MOCK_SERVICES is set. The
+// stand-ins are required lazily so production never loads them.
+
+let memoryFirestore;
+
+function createFirestore() {
+  // The real client talks to the emulator by itself when it is configured
+  if (MOCK_CONFIG.ENABLED && !process.env.FIRESTORE_EMULATOR_HOST) {
+    if (!memoryFirestore) {
+      const MemoryFirestore = require("../mocks/memoryFirestore");
+      memoryFirestore = new MemoryFirestore();
+    }
+    // Shared, so the job queue and the analysis store see the same data
+    return memoryFirestore;
+  }
+  return new Firestore({
+    ignoreUndefinedProperties: true,
+  });
+}
+
+function createStorage() {
+  if (MOCK_CONFIG.ENABLED) {
+    const FileSystemStorage = require("../mocks/fileSystemStorage");
+    return new FileSystemStorage(MOCK_CONFIG.BUCKET_DIR);
+  }
+  return new Storage();
+}
+
+function createVideoIntelligenceClient() {
+  if (MOCK_CONFIG.ENABLED) {
+    const RecordedVideoIntelligenceClient = require("../mocks/recordedVideoIntelligence");
+    return new RecordedVideoIntelligenceClient(
+      MOCK_CONFIG.VIDEO_INTELLIGENCE_DIR
+    );
+  }
+  return new videoIntelligence.VideoIntelligenceServiceClient();
+}
+
+// Writes listings locally in offline mode, null when they go to Google Docs
+function createDocumentWriter() {
+  if (MOCK_CONFIG.ENABLED) {
+    const LocalDocumentWriter = require("../mocks/localDocumentWriter");
+    return new LocalDocumentWriter(MOCK_CONFIG.OUTPUT_DIR);
+  }
+  return null;
+}
+
+module.exports = {
+  createFirestore,
+  createStorage,
+  createVideoIntelligenceClient,
+  createDocumentWriter,
+};
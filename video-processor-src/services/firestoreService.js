@@ -1,11 +1,11 @@
 const { Firestore } = require("@google-cloud/firestore");
+const { PIPELINE_CONFIG } = require("../config/constants");
+const { createFirestore } = require("./clients");
 
 class FirestoreService {
   constructor() {
     // Initialize Firestore with ignoreUndefinedProperties enabled
-    this.db = new Firestore({
-      ignoreUndefinedProperties: true,
-    });
+    this.db = createFirestore();
     this.videoAnalysisCollection = "videoAnalysis";
     this.isInitialized = false;
 
@@ -94,6 +94,12 @@ class FirestoreService {
     return obj;
   }
 
+  // Object names can carry a folder prefix, but Firestore document IDs
+  // cannot contain slashes
+  documentId(fileName) {
+    return fileName.replace(/\//g, "%2F");
+  }
+
   async storeVideoAnalysis(fileName, analysisResults) {
     try {
       // Ensure we have valid data to store
@@ -120,7 +126,7 @@ class FirestoreService {
 
       const docRef = this.db
         .collection(this.videoAnalysisCollection)
-        .doc(fileName);
+        .doc(this.documentId(fileName));
 
       // Clean all data before storing
       const cleanedObjects = this.cleanObject(analysisResults.objects || []);
@@ -130,6 +136,9 @@ class FirestoreService {
       // Create a clean object with only the data we want to store
       const unprocessedData = {
         transcription: analysisResults.transcription || "",
+        transcriptSegments: this.cleanObject(
+          analysisResults.transcriptSegments || []
+        ),
         objects: cleanedObjects,
         labels: cleanedLabels,
         text: cleanedText,
@@ -141,6 +150,7 @@ class FirestoreService {
       await docRef.set(
         {
           fileName,
+          source: this.cleanObject(analysisResults.source || {}),
           unprocessed: unprocessedData,
           status: "unprocessed",
           lastUpdated: Firestore.FieldValue.serverTimestamp(),
@@ -194,6 +204,74 @@ class FirestoreService {
     }
   }
 
+  // Load the stages already completed for this upload of a file. Markers
+  // left by another generation of the object don't count. Best effort: with
+  // no checkpoints every stage simply runs.
+  async getCheckpoints(fileName, generation = null) {
+    try {
+      const doc = await this.db
+        .collection(this.videoAnalysisCollection)
+        .doc(this.documentId(fileName))
+        .get();
+      const data = doc.exists ? doc.data() : {};
+
+      const stages = {};
+      Object.entries(data.stages || {}).forEach(([stage, marker]) => {
+        if (marker.generation === generation) {
+          stages[stage] = marker;
+        }
+      });
+      return {
+        firestoreId: doc.id,
+        stages,
+        unprocessed: data.unprocessed || null,
+        outputs: data.checkpoints || {},
+      };
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Error loading checkpoints for ${fileName}:`,
+        error.message
+      );
+      return { firestoreId: null, stages: {}, unprocessed: null, outputs: {} };
+    }
+  }
+
+  // Mark a stage complete, keeping its output when it isn't stored elsewhere
+  // in the document. Markers of later stages are cleared, since they were
+  // computed from the output this one just replaced.
+  async completeStage(fileName, stage, generation = null, output) {
+    try {
+      const laterStages = PIPELINE_CONFIG.STAGES.slice(
+        PIPELINE_CONFIG.STAGES.indexOf(stage) + 1
+      );
+      const stages = {
+        [stage]: { completedAt: new Date().toISOString(), generation },
+      };
+      laterStages.forEach((later) => {
+        stages[later] = Firestore.FieldValue.delete();
+      });
+
+      await this.db
+        .collection(this.videoAnalysisCollection)
+        .doc(this.documentId(fileName))
+        .set(
+          {
+            stages,
+            ...(output !== undefined && {
+              checkpoints: { [stage]: this.cleanObject(output) },
+            }),
+            lastUpdated: Firestore.FieldValue.serverTimestamp(),
+          },
+          { merge: true }
+        );
+    } catch (error) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Error saving ${stage} checkpoint for ${fileName}:`,
+        error.message
+      );
+    }
+  }
+
   async getVideoAnalysis(fileName) {
     try {
       // If Firestore is not initialized, return null
@@ -206,7 +284,7 @@ class FirestoreService {
 
       const docRef = this.db
         .collection(this.videoAnalysisCollection)
-        .doc(fileName);
+        .doc(this.documentId(fileName));
       const doc = await docRef.get();
 
       if (!doc.exists) {
@@ -255,7 +333,7 @@ class FirestoreService {
 
       const docRef = this.db
         .collection(this.videoAnalysisCollection)
-        .doc(fileName);
+        .doc(this.documentId(fileName));
 
       // Clean all data before storing
       const cleanedPropertyDetails = this.cleanObject(propertyDetails);
@@ -306,14 +384,14 @@ class FirestoreService {
 
       const docRef = this.db
         .collection(this.videoAnalysisCollection)
-        .doc(fileName);
+        .doc(this.documentId(fileName));
       const doc = await docRef.get();
 
       if (!doc.exists) {
         return null;
       }
 
-      return doc.data();
+      return doc.data().processed || null;
     } catch (error) {
       console.error(
         `[${new Date().toISOString()}] ❌ Error retrieving processed analysis from Firestore:`,
@@ -0,0 +1,371 @@
+const crypto = require("crypto");
+const { FieldValue } = require("@google-cloud/firestore");
+const { QUEUE_CONFIG, RETRY_CONFIG } = require("../config/constants");
+const { createFirestore } = require("./clients");
+const { describeError } = require("../utils/retry");
+
+const { STATUSES } = QUEUE_CONFIG;
+
+function leaseLostError(jobId, workerId) {
+  const error = new Error(`Worker ${workerId} no longer holds job ${jobId}`);
+  error.code = "LEASE_LOST";
+  return error;
+}
+
+function invalidStateError(jobId, status) {
+  const error = new Error(`Job ${jobId} is ${status}`);
+  error.code = "INVALID_STATE";
+  return error;
+}
+
+// What gets kept about a job that failed for good, enough to diagnose it
+// and to replay it
+function deadLetterRecord(job, error, failedAt) {
+  return {
+    jobId: job.id,
+    bucketName: job.bucketName,
+    fileName: job.fileName,
+    generation: job.generation,
+    source: job.source,
+    stage: error.stage || null,
+    attempts: job.attempts,
+    error: { code: error.code || null, message: error.message },
+    errorChain: describeError(error),
+    attemptErrors: error.attemptErrors || [],
+    failedAt,
+  };
+}
+
+// Persistent processing queue shared by every instance of the service. A job
+// is claimed in a transaction, so exactly one worker holds its lease at a
+// time; a lease that isn't renewed by heartbeats expires and the job is
+// handed to the next worker that polls.
+class JobQueueService {
+  constructor() {
+    this.db = createFirestore();
+    this.collection = this.db.collection(QUEUE_CONFIG.COLLECTION);
+    this.deadLetters = this.db.collection(RETRY_CONFIG.DEAD_LETTER_COLLECTION);
+  }
+
+  // One job per object generation, so redelivered notifications for the same
+  // upload land on the same job while a re-upload is processed again
+  jobId(bucketName, fileName, generation) {
+    return `${bucketName}/${fileName}@${generation || 0}`.replace(/\//g, "%2F");
+  }
+
+  // Add a video to the queue. Returns the job and whether it was queued; an
+  // existing job is left alone, failed ones come back only through replay.
+  async enqueue({ bucketName, fileName, generation, source, messageId }) {
+    const id = this.jobId(bucketName, fileName, generation);
+    const docRef = this.collection.doc(id);
+    const now = new Date().toISOString();
+
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const existing = doc.exists ? doc.data() : null;
+
+      if (existing) {
+        if (messageId) {
+          transaction.update(docRef, {
+            messageIds: FieldValue.arrayUnion(messageId),
+          });
+        }
+        return { job: existing, queued: false };
+      }
+
+      const job = {
+        id,
+        bucketName,
+        fileName,
+        generation: generation || null,
+        source: source || {},
+        status: STATUSES.QUEUED,
+        attempts: 0,
+        error: null,
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        createdAt: now,
+        queuedAt: now,
+        updatedAt: now,
+      };
+      transaction.set(docRef, {
+        ...job,
+        messageIds: messageId ? FieldValue.arrayUnion(messageId) : [],
+      });
+      return { job, queued: true };
+    });
+  }
+
+  // Claim the oldest queued job, or one whose lease has expired. Returns
+  // null when there is nothing to do.
+  async claim(workerId) {
+    return this.db.runTransaction(async (transaction) => {
+      const now = new Date();
+
+      const stale = await transaction.get(
+        this.collection
+          .where("status", "==", STATUSES.RUNNING)
+          .where("leaseExpiresAt", "<", now.toISOString())
+          .limit(1)
+      );
+      const queued = stale.empty
+        ? await transaction.get(
+            this.collection
+              .where("status", "==", STATUSES.QUEUED)
+              .orderBy("queuedAt")
+              .limit(1)
+          )
+        : null;
+
+      const doc = stale.empty ? queued.docs[0] : stale.docs[0];
+      if (!doc) return null;
+      const job = doc.data();
+
+      // A job whose worker keeps dying (out of memory, timeouts) is given
+      // up on rather than taking down every instance in turn
+      if (!stale.empty && job.attempts >= QUEUE_CONFIG.MAX_ATTEMPTS) {
+        const error = new Error(
+          `Lease held by ${job.leaseOwner} expired after ${job.attempts} attempts`
+        );
+        error.code = "LEASE_EXPIRED";
+        const abandoned = {
+          status: STATUSES.FAILED,
+          error: { code: error.code, message: error.message },
+          leaseOwner: null,
+          leaseExpiresAt: null,
+          completedAt: now.toISOString(),
+          updatedAt: now.toISOString(),
+        };
+        transaction.update(doc.ref, abandoned);
+        transaction.set(
+          this.deadLetters.doc(job.id),
+          deadLetterRecord(job, error, now.toISOString()),
+          { merge: true }
+        );
+        return { ...job, ...abandoned, abandoned: true };
+      }
+
+      const claimed = {
+        status: STATUSES.RUNNING,
+        attempts: job.attempts + 1,
+        leaseOwner: workerId,
+        leaseExpiresAt: new Date(
+          now.getTime() + QUEUE_CONFIG.LEASE_MS
+        ).toISOString(),
+        startedAt: now.toISOString(),
+        updatedAt: now.toISOString(),
+      };
+      transaction.update(doc.ref, claimed);
+      return { ...job, ...claimed, reclaimed: !stale.empty };
+    });
+  }
+
+  // Apply fields to a job only while `workerId` still holds its lease.
+  // `fields` may be a function of the current job and the transaction.
+  // Returns the fields set.
+  async updateLeased(jobId, workerId, fields) {
+    const docRef = this.collection.doc(jobId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      const job = doc.exists ? doc.data() : null;
+      if (
+        !job ||
+        job.status !== STATUSES.RUNNING ||
+        job.leaseOwner !== workerId
+      ) {
+        throw leaseLostError(jobId, workerId);
+      }
+      const update = {
+        ...(typeof fields === "function" ? fields(job, transaction) : fields),
+        updatedAt: new Date().toISOString(),
+      };
+      transaction.update(docRef, update);
+      return update;
+    });
+  }
+
+  async heartbeat(jobId, workerId) {
+    await this.updateLeased(jobId, workerId, {
+      leaseExpiresAt: new Date(
+        Date.now() + QUEUE_CONFIG.LEASE_MS
+      ).toISOString(),
+    });
+  }
+
+  async complete(jobId, workerId, result) {
+    await this.updateLeased(jobId, workerId, {
+      status: STATUSES.DONE,
+      result,
+      error: null,
+      leaseOwner: null,
+      leaseExpiresAt: null,
+      completedAt: new Date().toISOString(),
+    });
+  }
+
+  // Record a job that failed for good. Stages retry transient errors
+  // themselves, so the job goes straight to the dead-letter collection with
+  // its full error chain.
+  async fail(jobId, workerId, error) {
+    return this.updateLeased(jobId, workerId, (job, transaction) => {
+      const failedAt = new Date().toISOString();
+      // Merge so the replay history of an earlier dead letter is kept
+      transaction.set(
+        this.deadLetters.doc(jobId),
+        deadLetterRecord(job, error, failedAt),
+        { merge: true }
+      );
+      return {
+        status: STATUSES.FAILED,
+        error: {
+          code: error.code || null,
+          message: error.message,
+          stage: error.stage || null,
+        },
+        leaseOwner: null,
+        leaseExpiresAt: null,
+        completedAt: failedAt,
+      };
+    });
+  }
+
+  // Put a finished job back on the queue with a fresh set of attempts. Only
+  // jobs in one of `fromStatuses` qualify. `force` is handed to the pipeline
+  // to rerun completed stages. Returns null for an unknown job.
+  async requeue(
+    jobId,
+    {
+      force = false,
+      fromStatuses = [STATUSES.DONE, STATUSES.FAILED, STATUSES.CANCELLED],
+      deadLetterOnly = false,
+    } = {}
+  ) {
+    const jobRef = this.collection.doc(jobId);
+    const deadLetterRef = this.deadLetters.doc(jobId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const [jobDoc, deadLetterDoc] = await Promise.all([
+        transaction.get(jobRef),
+        transaction.get(deadLetterRef),
+      ]);
+      if (!jobDoc.exists || (deadLetterOnly && !deadLetterDoc.exists)) {
+        return null;
+      }
+
+      const job = jobDoc.data();
+      if (!fromStatuses.includes(job.status)) {
+        throw invalidStateError(jobId, job.status);
+      }
+
+      const now = new Date().toISOString();
+      const requeued = {
+        status: STATUSES.QUEUED,
+        attempts: 0,
+        force,
+        error: null,
+        completedAt: null,
+        queuedAt: now,
+        updatedAt: now,
+      };
+      transaction.update(jobRef, requeued);
+      if (deadLetterDoc.exists) {
+        transaction.update(deadLetterRef, {
+          replayedAt: now,
+          replayCount: FieldValue.increment(1),
+        });
+      }
+      return { ...job, ...requeued };
+    });
+  }
+
+  // Requeue a job from the dead-letter collection
+  async replay(jobId, { force = false } = {}) {
+    return this.requeue(jobId, {
+      force,
+      fromStatuses: [STATUSES.FAILED],
+      deadLetterOnly: true,
+    });
+  }
+
+  // Cancel a job that hasn't been claimed yet. Returns null for an unknown
+  // job; running jobs can't be cancelled.
+  async cancel(jobId) {
+    const docRef = this.collection.doc(jobId);
+
+    return this.db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(docRef);
+      if (!doc.exists) return null;
+
+      const job = doc.data();
+      if (job.status !== STATUSES.QUEUED) {
+        throw invalidStateError(jobId, job.status);
+      }
+
+      const now = new Date().toISOString();
+      const cancelled = {
+        status: STATUSES.CANCELLED,
+        completedAt: now,
+        updatedAt: now,
+      };
+      transaction.update(docRef, cancelled);
+      return { ...job, ...cancelled };
+    });
+  }
+
+  // Newest jobs first. Filtering by status needs the composite index
+  // declared in main.tf
+  async listJobs({ status, limit }) {
+    let query = this.collection;
+    if (status) {
+      query = query.where("status", "==", status);
+    }
+    const snapshot = await query
+      .orderBy("createdAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  async countJobs(status) {
+    const snapshot = await this.collection
+      .where("status", "==", status)
+      .count()
+      .get();
+    return snapshot.data().count;
+  }
+
+  // The most recently created job for an object, across its generations
+  async findLatestJob(fileName) {
+    const snapshot = await this.collection
+      .where("fileName", "==", fileName)
+      .get();
+    const jobs = snapshot.docs.map((doc) => doc.data());
+    jobs.sort((a, b) => (a.createdAt < b.createdAt ? 1 : -1));
+    return jobs[0] || null;
+  }
+
+  async getDeadLetter(jobId) {
+    const doc = await this.deadLetters.doc(jobId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  async listDeadLetters(limit) {
+    const snapshot = await this.deadLetters
+      .orderBy("failedAt", "desc")
+      .limit(limit)
+      .get();
+    return snapshot.docs.map((doc) => doc.data());
+  }
+
+  async getJob(jobId) {
+    const doc = await this.collection.doc(jobId).get();
+    return doc.exists ? doc.data() : null;
+  }
+
+  newWorkerId() {
+    return `${process.env.K_REVISION || "local"}-${crypto.randomUUID()}`;
+  }
+}
+
+module.exports = new JobQueueService();
@@ -0,0 +1,47 @@
+const fs = require("fs");
+const path = require("path");
+const { LLM_CONFIG } = require("../../config/constants");
+const { estimateTokens } = require("./tokens");
+
+function fixtureNotFoundError(name, directory) {
+  const error = new Error(`No LLM fixture for ${name} in ${directory}`);
+  error.code = "FIXTURE_NOT_FOUND";
+  error.retryable = false;
+  return error;
+}
+
+// Deterministic provider for running the pipeline without network access.
+// A request named "labels" is answered with fixtures/llm/labels.json in
+// JSON mode, or labels.txt otherwise.
+class FixtureProvider {
+  constructor() {
+    this.name = "fixture";
+    this.countsLocally = true;
+    this.directory = LLM_CONFIG.FIXTURE_DIR;
+  }
+
+  async countTokens({ messages }) {
+    return estimateTokens(messages);
+  }
+
+  async chat({ name, messages, json }) {
+    const file = path.join(this.directory, `${name}.${json ? "json" : "txt"}`);
+    if (!fs.existsSync(file)) {
+      throw fixtureNotFoundError(name, this.directory);
+    }
+
+    const content = fs.readFileSync(file, "utf8");
+    const promptTokens = estimateTokens(messages);
+    const completionTokens = estimateTokens([{ content }]);
+    return {
+      content,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens,
+      },
+    };
+  }
+}
+
+module.exports = FixtureProvider;
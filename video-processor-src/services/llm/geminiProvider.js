@@ -0,0 +1,88 @@
+const { GoogleGenerativeAI } = require("@google/generative-ai");
+const rateLimiters = require("../rateLimiters");
+const { estimateTokens } = require("./tokens");
+
+// Gemini takes system messages as a separate instruction and calls the
+// assistant role "model"
+function toGeminiRequest(messages) {
+  const system = messages
+    .filter((message) => message.role === "system")
+    .map((message) => message.content)
+    .join("\n\n");
+  const contents = messages
+    .filter((message) => message.role !== "system")
+    .map((message) => ({
+      role: message.role === "assistant" ? "model" : "user",
+      parts: [{ text: message.content }],
+    }));
+  return { systemInstruction: system || undefined, contents };
+}
+
+class GeminiProvider {
+  constructor() {
+    this.name = "gemini";
+    // Counting tokens is an API request of its own
+    this.countsLocally = false;
+    this.client = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
+  }
+
+  async countTokens({ model, messages }) {
+    await rateLimiters.geminiRequests.take();
+    const { systemInstruction, contents } = toGeminiRequest(messages);
+    const { totalTokens } = await this.client
+      .getGenerativeModel({ model, systemInstruction })
+      .countTokens({ contents });
+    return totalTokens;
+  }
+
+  // Rate limited like OpenAI. The estimate is local, since counting the
+  // tokens exactly would cost a request of its own. A schema is described in
+  // the system instruction, as Gemini's own response schemas only take a
+  // subset of JSON Schema.
+  async chat({ model, messages, temperature, maxTokens, json, schema }) {
+    const estimate = estimateTokens(messages) + (maxTokens || 0);
+    await rateLimiters.geminiRequests.take();
+    await rateLimiters.geminiTokens.take(estimate);
+
+    const { systemInstruction, contents } = toGeminiRequest(
+      schema
+        ? [
+            ...messages,
+            {
+              role: "system",
+              content: `Respond with a JSON object matching this JSON Schema:\n${JSON.stringify(
+                schema
+              )}`,
+            },
+          ]
+        : messages
+    );
+    const result = await this.client
+      .getGenerativeModel({
+        model,
+        systemInstruction,
+        generationConfig: {
+          temperature,
+          maxOutputTokens: maxTokens,
+          ...((json || schema) && { responseMimeType: "application/json" }),
+        },
+      })
+      .generateContent({ contents });
+
+    const usage = result.response.usageMetadata || {};
+    if (usage.totalTokenCount) {
+      rateLimiters.geminiTokens.adjust(usage.totalTokenCount - estimate);
+    }
+
+    return {
+      content: result.response.text(),
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0,
+      },
+    };
+  }
+}
+
+module.exports = GeminiProvider;
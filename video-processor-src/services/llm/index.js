@@ -0,0 +1,221 @@
+const { LLM_CONFIG, MOCK_CONFIG } = require("../../config/constants");
+const { compileSchema } = require("../../utils/schemaValidator");
+
+// Providers are constructed on first use, so a stage configured for one
+// provider doesn't need the other providers' credentials
+const PROVIDER_MODULES = {
+  openai: "./openaiProvider",
+  gemini: "./geminiProvider",
+  fixture: "./fixtureProvider",
+};
+
+function schemaValidationError(name, attempts, errors) {
+  const error = new Error(
+    `${name} response failed schema validation after ${attempts} attempts: ${errors.join(
+      "; "
+    )}`
+  );
+  error.code = "SCHEMA_VALIDATION_FAILED";
+  // The re-asks were the retries
+  error.retryable = false;
+  error.validationErrors = errors;
+  return error;
+}
+
+// Parse a JSON response and list its problems against the schema
+function parseResponse(content, validate) {
+  let data;
+  try {
+    data = JSON.parse(content.trim().replace(/^```(?:json)?\s*|\s*```$/g, ""));
+  } catch (error) {
+    return {
+      data: null,
+      errors: [`(root) is not valid JSON: ${error.message}`],
+    };
+  }
+  return { data, errors: validate(data) };
+}
+
+function invalidConfigError(message) {
+  const error = new Error(message);
+  error.code = "INVALID_LLM_CONFIG";
+  return error;
+}
+
+// Chat, JSON mode and token counting behind one interface. Each pipeline
+// stage picks its provider and model through LLM_CONFIG.STAGES and fails
+// over to its fallback when the primary errors.
+class LlmService {
+  constructor() {
+    this.providers = {};
+    this.validators = new Map();
+
+    // Checked at startup rather than on the first video
+    Object.entries(LLM_CONFIG.STAGES).forEach(([stage, config]) => {
+      [config.primary, config.fallback].filter(Boolean).forEach((setting) => {
+        if (!LLM_CONFIG.PROVIDERS.includes(setting.provider)) {
+          throw invalidConfigError(
+            `Unknown LLM provider ${setting.provider} for stage ${stage}`
+          );
+        }
+      });
+    });
+  }
+
+  getProvider(name) {
+    if (!this.providers[name]) {
+      const Provider = require(PROVIDER_MODULES[name]);
+      this.providers[name] = new Provider();
+    }
+    return this.providers[name];
+  }
+
+  // The provider and model settings to try for a stage, in order. Offline,
+  // every stage is answered from fixtures.
+  candidates(stage) {
+    const config = LLM_CONFIG.STAGES[stage];
+    if (!config) {
+      throw invalidConfigError(`No LLM configured for stage ${stage}`);
+    }
+    if (MOCK_CONFIG.ENABLED) {
+      return [
+        { provider: "fixture", model: LLM_CONFIG.DEFAULT_MODELS.fixture },
+      ];
+    }
+    return [config.primary, config.fallback]
+      .filter(Boolean)
+      .map(({ provider, model }) => ({
+        provider,
+        model: model || LLM_CONFIG.DEFAULT_MODELS[provider],
+      }));
+  }
+
+  // Send a conversation for `stage`. `request` holds `name` (identifies the
+  // prompt, e.g. for fixtures), `messages`, `temperature`, `maxTokens`,
+  // `json` to ask for a JSON object and optionally the JSON `schema` it
+  // should follow. Resolves to { content, usage, provider, model }.
+  async chat(stage, request) {
+    const candidates = this.candidates(stage);
+
+    for (let i = 0; ; i++) {
+      const { provider, model } = candidates[i];
+      try {
+        const response = await this.getProvider(provider).chat({
+          ...request,
+          model,
+        });
+        return { ...response, provider, model };
+      } catch (error) {
+        const next = candidates[i + 1];
+        if (!next) {
+          throw error;
+        }
+        console.warn(
+          `[${new Date().toISOString()}] 🔀 ${provider}:${model} failed for ${
+            request.name
+          } (${error.message}), failing over to ${next.provider}:${next.model}`
+        );
+      }
+    }
+  }
+
+  // Ask for a JSON object matching `request.schema`. An answer that isn't
+  // valid is sent back with its validation errors, up to
+  // LLM_CONFIG.SCHEMA_ATTEMPTS times. Resolves to the chat response plus
+  // the parsed `data`.
+  async chatStructured(stage, request) {
+    if (!this.validators.has(request.schema)) {
+      this.validators.set(request.schema, compileSchema(request.schema));
+    }
+    const validate = this.validators.get(request.schema);
+
+    let { messages } = request;
+    for (let attempt = 1; ; attempt++) {
+      const response = await this.chat(stage, {
+        ...request,
+        messages,
+        json: true,
+      });
+      const { data, errors } = parseResponse(response.content, validate);
+      if (errors.length === 0) {
+        return { ...response, data };
+      }
+      if (attempt >= LLM_CONFIG.SCHEMA_ATTEMPTS) {
+        throw schemaValidationError(request.name, attempt, errors);
+      }
+
+      console.warn(
+        `[${new Date().toISOString()}] 🧾 ${
+          request.name
+        } response failed validation (${errors.join("; ")}), asking again`
+      );
+      messages = await this.reaskMessages(stage, request, response, errors);
+    }
+  }
+
+  // The original conversation, the failed response and what is wrong with
+  // it, rather than every earlier attempt. The response is left out when
+  // the re-ask wouldn't fit the stage's prompt limit with it.
+  async reaskMessages(stage, request, response, errors) {
+    const shown = errors.slice(0, LLM_CONFIG.MAX_SCHEMA_ERRORS_SHOWN);
+    const correction = {
+      role: "user",
+      content: `Your response does not match the required JSON Schema:\n${shown
+        .map((error) => `- ${error}`)
+        .join("\n")}${
+        errors.length > shown.length
+          ? `\n- and ${errors.length - shown.length} more`
+          : ""
+      }\nReturn the corrected JSON object only.`,
+    };
+    const messages = [
+      ...request.messages,
+      { role: "assistant", content: response.content },
+      correction,
+    ];
+    const tokens = await this.countTokens(stage, messages, request.schema);
+    if (tokens <= this.promptLimit(stage, request.maxTokens)) {
+      return messages;
+    }
+    return [...request.messages, correction];
+  }
+
+  // The context window a stage's prompts must fit, the smallest of its
+  // models' since a failed over request is sent unchanged
+  contextWindow(stage) {
+    return Math.min(
+      ...this.candidates(stage).map(
+        ({ model }) =>
+          LLM_CONFIG.CONTEXT_WINDOWS[model] || LLM_CONFIG.DEFAULT_CONTEXT_WINDOW
+      )
+    );
+  }
+
+  // Whether the stage's primary provider counts tokens without a request
+  countsLocally(stage) {
+    const [{ provider }] = this.candidates(stage);
+    return this.getProvider(provider).countsLocally;
+  }
+
+  // Tokens a stage's prompt may use, leaving room for the completion
+  promptLimit(stage, maxTokens) {
+    return (
+      this.contextWindow(stage) - maxTokens - LLM_CONFIG.PROMPT_HEADROOM_TOKENS
+    );
+  }
+
+  // Count the tokens of a conversation with the stage's primary provider.
+  // A response schema is counted as a system message holding it, as that
+  // is about what the providers send.
+  async countTokens(stage, messages, schema = null) {
+    const [{ provider, model }] = this.candidates(stage);
+    return this.getProvider(provider).countTokens({
+      model,
+      messages: schema
+        ? [...messages, { role: "system", content: JSON.stringify(schema) }]
+        : messages,
+    });
+  }
+}
+
+module.exports = new LlmService();
@@ -0,0 +1,96 @@
+const OpenAI = require("openai");
+const { encodingForModel, getEncoding } = require("js-tiktoken");
+const rateLimiters = require("../rateLimiters");
+const { estimateTokens } = require("./tokens");
+
+// Request parameters asking for JSON. A schema becomes the parameters of a
+// function the model is made to call.
+function responseFormat({ json, schema }) {
+  if (schema) {
+    const { $id, title, description, ...parameters } = schema;
+    const name = $id || "respond";
+    return {
+      tools: [
+        {
+          type: "function",
+          function: { name, description: description || title, parameters },
+        },
+      ],
+      tool_choice: { type: "function", function: { name } },
+    };
+  }
+  return json ? { response_format: { type: "json_object" } } : {};
+}
+
+// Chat formatting adds a few tokens per message and to the reply
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+class OpenAIProvider {
+  constructor() {
+    this.name = "openai";
+    this.countsLocally = true;
+    this.client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+    this.encoders = new Map();
+  }
+
+  // Models tiktoken doesn't know yet are counted with cl100k_base, the
+  // encoding of the GPT-3.5 and GPT-4 families
+  encoderFor(model) {
+    if (!this.encoders.has(model)) {
+      let encoder;
+      try {
+        encoder = encodingForModel(model);
+      } catch (error) {
+        encoder = getEncoding("cl100k_base");
+      }
+      this.encoders.set(model, encoder);
+    }
+    return this.encoders.get(model);
+  }
+
+  async countTokens({ model, messages }) {
+    const encoder = this.encoderFor(model);
+    return messages.reduce(
+      (total, message) =>
+        total + TOKENS_PER_MESSAGE + encoder.encode(message.content).length,
+      TOKENS_PER_REPLY
+    );
+  }
+
+  // Every call goes through the request and token rate limits. Tokens are
+  // estimated from the prompt size and corrected from the reported usage.
+  // Function calling also works with models that predate structured outputs.
+  async chat({ model, messages, temperature, maxTokens, json, schema }) {
+    const estimate = estimateTokens(messages) + (maxTokens || 0);
+    await rateLimiters.openaiRequests.take();
+    await rateLimiters.openaiTokens.take(estimate);
+
+    const completion = await this.client.chat.completions.create({
+      model,
+      messages,
+      temperature,
+      max_tokens: maxTokens,
+      ...responseFormat({ json, schema }),
+    });
+    const message = completion.choices[0].message;
+    if (completion.usage) {
+      rateLimiters.openaiTokens.adjust(
+        completion.usage.total_tokens - estimate
+      );
+    }
+
+    return {
+      content: message.tool_calls?.[0]?.function.arguments ?? message.content,
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+        totalTokens: completion.usage?.total_tokens || 0,
+      },
+    };
+  }
+}
+
+module.exports = OpenAIProvider;
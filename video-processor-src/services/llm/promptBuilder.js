@@ -0,0 +1,337 @@
+const llmService = require("./index");
+const { estimateTokens } = require("./tokens");
+const { LLM_CONFIG } = require("../../config/constants");
+
+function promptTooLargeError(name, tokens, limit) {
+  const error = new Error(
+    `${name} prompt needs ${tokens} tokens, more than its ${limit} token limit`
+  );
+  error.code = "PROMPT_TOO_LARGE";
+  // The same data makes the same prompt
+  error.retryable = false;
+  return error;
+}
+
+// Instructions for summarizing one chunk of a long transcript
+function summaryMessages(chunk, part, parts) {
+  return [
+    {
+      role: "system",
+      content:
+        "You are a professional real estate analyst. Your task is to condense part of a property video transcription without losing property information.",
+    },
+    {
+      role: "user",
+      content: `
+            Summarize part ${part} of ${parts} of this property video transcription.
+            Keep every room, feature, upgrade, appliance, material, measurement,
+            price, date and address that is mentioned, with the speaker's exact
+            numbers. Start each fact with the [start-end s] time marker of the
+            sentence it came from, and quote the key words exactly. Leave out
+            greetings, filler and repetition.
+
+            Transcription:
+            ${chunk}`,
+    },
+  ];
+}
+
+// Split text into pieces of about `maxTokens` tokens, at sentence ends
+// where possible. Sizes are judged by the text's average characters per
+// token, rather than counting every sentence.
+function splitText(text, tokens, maxTokens) {
+  const maxChars = Math.max(
+    1,
+    Math.floor((maxTokens * text.length) / Math.max(tokens, 1))
+  );
+  const pieces = [];
+  let current = "";
+  (text.match(/[^.!?]+[.!?]*\s*/g) || [text]).forEach((sentence) => {
+    if (current && current.length + sentence.length > maxChars) {
+      pieces.push(current);
+      current = "";
+    }
+    for (let i = 0; i < sentence.length; i += maxChars) {
+      const part = sentence.slice(i, i + maxChars);
+      if (current.length + part.length > maxChars) {
+        pieces.push(current);
+        current = "";
+      }
+      current += part;
+    }
+  });
+  if (current) {
+    pieces.push(current);
+  }
+  return pieces.map((piece) => piece.trim()).filter(Boolean);
+}
+
+// Fits the data of a prompt into the context window of the models a stage
+// uses. Token counts come from the stage's primary provider, so they match
+// the model the prompt is sent to.
+class PromptBuilder {
+  // Tokens a stage's prompt may use, leaving room for the completion
+  limit(stage, maxTokens) {
+    return llmService.promptLimit(stage, maxTokens);
+  }
+
+  // Tokens each of `parts` pieces of text, such as the answers to earlier
+  // requests, may take in the messages from `render(pieces)` when split
+  // equally. Rejects with PROMPT_TOO_LARGE when the rest of the prompt
+  // leaves them no room.
+  async share(stage, parts, { name, maxTokens, schema, render }) {
+    const limit = this.limit(stage, maxTokens);
+    const tokens = await llmService.countTokens(
+      stage,
+      render(new Array(parts).fill("")),
+      schema
+    );
+    const share = Math.floor((limit - tokens) / parts);
+    if (share < 1) {
+      throw promptTooLargeError(name, tokens, limit);
+    }
+    return share;
+  }
+
+  // The first of `variants`, ordered from the most to the least complete,
+  // whose messages from `render(variant)` fit the stage's limit, with the
+  // response `schema` if there is one. Resolves to the variant and its
+  // index, or rejects with PROMPT_TOO_LARGE when none fits.
+  async fitVariants(stage, variants, { name, maxTokens, schema, render }) {
+    const limit = this.limit(stage, maxTokens);
+    let tokens;
+    for (const [index, variant] of variants.entries()) {
+      tokens = await llmService.countTokens(stage, render(variant), schema);
+      if (tokens <= limit) {
+        if (index > 0) {
+          console.log(
+            `[${new Date().toISOString()}] ✂️ Shortened the ${name} prompt to ${tokens} tokens to fit the ${limit} token prompt limit`
+          );
+        }
+        return { variant, index, tokens };
+      }
+    }
+    throw promptTooLargeError(name, tokens, limit);
+  }
+
+  // A token counter for trying out many versions of one prompt. Providers
+  // that count locally are used as they are. The others count with an API
+  // request each, so only `reference` is counted and the rest estimated
+  // locally, scaled to match it.
+  async counter(stage, reference) {
+    if (llmService.countsLocally(stage)) {
+      return (messages) => llmService.countTokens(stage, messages);
+    }
+    const exact = await llmService.countTokens(stage, reference);
+    const scale = exact / Math.max(estimateTokens(reference), 1);
+    return async (messages) => Math.ceil(estimateTokens(messages) * scale);
+  }
+
+  // Merge the items of each category that share a key, keeping the most
+  // confident one with the number of times it was seen, and rank each
+  // category by confidence. Returns the number of duplicates merged too.
+  // An item without a key is an error, as it would merge with every other
+  // item of its category.
+  rank(groups, keyOf) {
+    let duplicates = 0;
+    const ranked = Object.fromEntries(
+      Object.entries(groups).map(([category, items]) => {
+        const byKey = new Map();
+        items.forEach((item) => {
+          const value = keyOf(item);
+          if (value === undefined || value === null) {
+            throw new Error(
+              `Can't rank ${category} item without a key: ${JSON.stringify(
+                item
+              )}`
+            );
+          }
+          const key = String(value).toLowerCase().replace(/\s+/g, " ");
+          const existing = byKey.get(key);
+          if (!existing) {
+            byKey.set(key, { ...item, count: 1 });
+            return;
+          }
+          duplicates++;
+          const best =
+            (item.confidence || 0) > (existing.confidence || 0)
+              ? item
+              : existing;
+          byKey.set(key, { ...best, count: existing.count + 1 });
+        });
+        return [
+          category,
+          [...byKey.values()].sort(
+            (a, b) => (b.confidence || 0) - (a.confidence || 0)
+          ),
+        ];
+      })
+    );
+    return { groups: ranked, duplicates };
+  }
+
+  // Keep the most confident items of `sections` ({ section: { category:
+  // [item] } }) for which the messages from `render(kept)` fit the stage's
+  // limit. Items of every section compete on confidence. Resolves to the
+  // kept sections and, per section, how many items were kept.
+  async fitSections(stage, sections, { maxTokens, render }) {
+    const limit = this.limit(stage, maxTokens);
+    const ranked = Object.entries(sections)
+      .flatMap(([section, groups]) =>
+        Object.entries(groups).flatMap(([category, items]) =>
+          items.map((item) => ({ section, category, item }))
+        )
+      )
+      .sort((a, b) => (b.item.confidence || 0) - (a.item.confidence || 0));
+
+    const keep = (count) => {
+      const kept = Object.fromEntries(
+        Object.entries(sections).map(([section, groups]) => [
+          section,
+          Object.fromEntries(
+            Object.keys(groups).map((category) => [category, []])
+          ),
+        ])
+      );
+      ranked.slice(0, count).forEach(({ section, category, item }) => {
+        kept[section][category].push(item);
+      });
+      return kept;
+    };
+    const countTokens = await this.counter(stage, render(keep(ranked.length)));
+    const fits = async (count) =>
+      (await countTokens(render(keep(count)))) <= limit;
+
+    // Binary search for the most items that fit
+    let count = ranked.length;
+    if (!(await fits(count))) {
+      let [low, high] = [0, count - 1];
+      while (low < high) {
+        const mid = Math.ceil((low + high) / 2);
+        if (await fits(mid)) {
+          low = mid;
+        } else {
+          high = mid - 1;
+        }
+      }
+      count = low;
+
+      // Check an estimated result with one exact count, dropping items in
+      // proportion while it is still too long
+      if (!llmService.countsLocally(stage)) {
+        let tokens = await llmService.countTokens(stage, render(keep(count)));
+        while (count > 0 && tokens > limit) {
+          count = Math.max(0, Math.floor((count * limit) / tokens) - 1);
+          tokens = await llmService.countTokens(stage, render(keep(count)));
+        }
+      }
+      console.log(
+        `[${new Date().toISOString()}] ✂️ Kept the ${count} most confident of ${
+          ranked.length
+        } items to fit the ${limit} token prompt limit`
+      );
+    }
+
+    const kept = ranked.slice(0, count);
+    const report = Object.fromEntries(
+      Object.keys(sections).map((section) => {
+        const total = ranked.filter((entry) => entry.section === section);
+        const items = kept.filter((entry) => entry.section === section);
+        return [
+          section,
+          {
+            total: total.length,
+            kept: items.length,
+            dropped: total.length - items.length,
+            ...(items.length < total.length && {
+              minConfidenceKept: items.length
+                ? items[items.length - 1].item.confidence
+                : null,
+            }),
+          },
+        ];
+      })
+    );
+    return { sections: keep(count), report };
+  }
+
+  // Fit a transcript into the messages from `render(transcript)`. One too
+  // long is split into chunks that are summarized separately (map), and
+  // the summaries combined (reduce), repeating with the combined summaries
+  // up to LLM_CONFIG.MAX_SUMMARY_LEVELS times. Whatever still doesn't fit
+  // is cut off. Resolves to the text to use and a report of what was done.
+  async fitTranscript(stage, transcript, { maxTokens, render }) {
+    const limit = this.limit(stage, maxTokens);
+    const countTokens = await this.counter(stage, render(transcript));
+    const countText = (text) => countTokens([{ role: "user", content: text }]);
+    const tokens = await countText(transcript);
+    const report = { tokens, summarized: false, chunks: 0, truncated: false };
+    if ((await countTokens(render(transcript))) <= limit) {
+      return { text: transcript, report };
+    }
+
+    // With no room left for the text, splitting it would go down to single
+    // characters
+    const promptTokens = await countTokens(render(""));
+    const budget = limit - promptTokens;
+    if (budget < 1) {
+      throw promptTooLargeError("transcript", promptTokens, limit);
+    }
+    const summaryLimit = this.limit(stage, LLM_CONFIG.SUMMARY_MAX_TOKENS);
+    const summaryTokens = await countTokens(summaryMessages("", 1, 1));
+    const chunkTokens = Math.min(
+      LLM_CONFIG.TRANSCRIPT_CHUNK_TOKENS,
+      summaryLimit - summaryTokens
+    );
+    if (chunkTokens < 1) {
+      throw promptTooLargeError("transcriptChunk", summaryTokens, summaryLimit);
+    }
+    console.log(
+      `[${new Date().toISOString()}] ✂️ Transcript of ${tokens} tokens exceeds its ${budget} token budget, summarizing`
+    );
+
+    let text = transcript;
+    let textTokens = tokens;
+    let level = 0;
+    while (textTokens > budget && level < LLM_CONFIG.MAX_SUMMARY_LEVELS) {
+      const chunks = splitText(text, textTokens, chunkTokens);
+      const summaries = [];
+      for (const [index, chunk] of chunks.entries()) {
+        const { content } = await llmService.chat(stage, {
+          name: "transcriptChunk",
+          messages: summaryMessages(chunk, index + 1, chunks.length),
+          temperature: 0.2,
+          maxTokens: LLM_CONFIG.SUMMARY_MAX_TOKENS,
+        });
+        summaries.push(
+          chunks.length > 1
+            ? `Part ${index + 1} of ${chunks.length}: ${content.trim()}`
+            : content.trim()
+        );
+      }
+      report.chunks += chunks.length;
+      level++;
+      text = summaries.join("\n\n");
+      textTokens = await countText(text);
+      console.log(
+        `[${new Date().toISOString()}] 📝 Summarized ${
+          chunks.length
+        } transcript chunks into ${textTokens} tokens`
+      );
+    }
+    report.summarized = level > 0;
+    report.summaryLevels = level;
+
+    if (textTokens > budget) {
+      text = splitText(text, textTokens, budget)[0];
+      report.truncated = true;
+      console.warn(
+        `[${new Date().toISOString()}] ⚠️ Transcript summary still exceeds ${budget} tokens, cut off`
+      );
+    }
+    report.budget = budget;
+    return { text, report };
+  }
+}
+
+module.exports = new PromptBuilder();
@@ -0,0 +1,13 @@
+const { RATE_LIMIT_CONFIG } = require("../../config/constants");
+
+// Rough token count of a conversation from its size, for rate limiting
+// before the provider reports the real usage
+function estimateTokens(messages) {
+  const chars = messages.reduce(
+    (total, message) => total + message.content.length,
+    0
+  );
+  return Math.ceil(chars / RATE_LIMIT_CONFIG.CHARS_PER_TOKEN);
+}
+
+module.exports = { estimateTokens };
@@ -0,0 +1,1407 @@
+const path = require("path");
+const { google } = require("googleapis");
+const firestoreService = require("./firestoreService");
+const driveStatusService = require("./driveStatusService");
+const videoAnalysisService = require("./videoAnalysis");
+const rateLimiters = require("./rateLimiters");
+const llmService = require("./llm");
+const promptBuilder = require("./llm/promptBuilder");
+const { createStorage, createDocumentWriter } = require("./clients");
+const { withRetry } = require("../utils/retry");
+const PROPERTY_ANALYSIS_SCHEMA = require("../schemas/propertyAnalysis.json");
+const {
+  categorizeObjects,
+  categorizeLabels,
+  categorizeText,
+} = require("../utils/categorizers");
+const {
+  verifyEvidence,
+  collectEvidence,
+  formatSeenAt,
+} = require("../utils/evidence");
+const { DRIVE_STATUS_CONFIG, PIPELINE_CONFIG } = require("../config/constants");
+
+// Initialize Google Drive client
+const auth = new google.auth.GoogleAuth({
+  scopes: ["https://www.googleapis.com/auth/drive.file"],
+});
+const drive = google.drive({ version: "v3", auth });
+
+const MAX_LABELS_PER_SEGMENT = 5;
+const CONFIDENCE_THRESHOLD = 0.7;
+const FRAME_INTERVAL_SECONDS = 1;
+
+const PROPERTY_ANALYSIS_FOLDER_ID = "1jPqOFqS_RisO97QAaOoMHgQtiYQOBgwa";
+
+const storage = createStorage();
+const documentWriter = createDocumentWriter();
+
+// Function to filter and optimize video analysis data
+function optimizeVideoData(trackedObjects, detectedLabels, detectedText) {
+  // Ensure inputs are arrays and have the expected structure
+  const objects = Array.isArray(trackedObjects) ? trackedObjects : [];
+  const labels = Array.isArray(detectedLabels) ? detectedLabels : [];
+  const text = Array.isArray(detectedText) ? detectedText : [];
+
+  console.log(
+    `[${new Date().toISOString()}] 🔍 Processing video data:`,
+    `Objects: ${objects.length}, Labels: ${labels.length}, Text: ${text.length}`
+  );
+
+  // Process object tracking data with minimal filtering
+  const processedObjects = objects.reduce((acc, obj) => {
+    if (!obj || typeof obj !== "object") return acc;
+
+    const key = (obj.description || "").toLowerCase();
+    if (!key) return acc;
+
+    // A tracked object is seen from its timestamp to its endTimestamp
+    const endTimestamp = obj.endTimestamp ?? obj.timestamp;
+
+    if (!acc[key]) {
+      acc[key] = {
+        count: 0,
+        confidence: 0,
+        occurrences: [],
+        timestamps: [],
+        firstSeen: obj.timestamp,
+        lastSeen: endTimestamp,
+        averageConfidence: 0,
+        maxConfidence: obj.confidence || 0,
+        minConfidence: obj.confidence || 0,
+        duration: 0,
+        frequency: 0,
+        context: [],
+      };
+    }
+
+    // Store all occurrences
+    acc[key].occurrences.push({
+      timestamp: obj.timestamp,
+      endTimestamp,
+      confidence: obj.confidence || 0,
+    });
+
+    acc[key].count++;
+    acc[key].confidence += obj.confidence || 0;
+    acc[key].timestamps.push(obj.timestamp);
+    acc[key].firstSeen = Math.min(acc[key].firstSeen, obj.timestamp);
+    acc[key].lastSeen = Math.max(acc[key].lastSeen, endTimestamp);
+    acc[key].maxConfidence = Math.max(
+      acc[key].maxConfidence,
+      obj.confidence || 0
+    );
+    acc[key].minConfidence = Math.min(
+      acc[key].minConfidence,
+      obj.confidence || 0
+    );
+
+    return acc;
+  }, {});
+
+  // Calculate statistics for each object
+  Object.keys(processedObjects).forEach((key) => {
+    if (processedObjects[key].count > 0) {
+      processedObjects[key].averageConfidence =
+        processedObjects[key].confidence / processedObjects[key].count;
+
+      // Sort timestamps for better analysis
+      processedObjects[key].timestamps.sort((a, b) => a - b);
+
+      // Calculate time span
+      processedObjects[key].timeSpan =
+        processedObjects[key].lastSeen - processedObjects[key].firstSeen;
+
+      // Calculate frequency (occurrences per second)
+      processedObjects[key].frequency =
+        processedObjects[key].count / (processedObjects[key].timeSpan || 1);
+
+      // Add context based on frequency and duration
+      if (processedObjects[key].frequency > 0.5) {
+        processedObjects[key].context.push("Frequently visible");
+      }
+      if (processedObjects[key].timeSpan > 10) {
+        processedObjects[key].context.push("Long duration presence");
+      }
+      if (processedObjects[key].averageConfidence > 0.7) {
+        processedObjects[key].context.push("High confidence detection");
+      }
+    }
+  });
+
+  // Process label detection data with minimal filtering
+  const processedLabels = labels.map((label) => ({
+    description: label.description || "",
+    confidence: label.confidence || 0,
+    timestamp: label.timestamp || 0,
+    context: {
+      segment: Math.floor((label.timestamp || 0) / 2),
+      timeRange: [
+        Math.floor((label.timestamp || 0) / 2) * 2,
+        (Math.floor((label.timestamp || 0) / 2) + 1) * 2,
+      ],
+      duration: 2,
+      frequency: 1,
+    },
+  }));
+
+  // Process text detection data with minimal filtering
+  const processedText = text.map((text) => ({
+    text: text.text || "",
+    confidence: text.confidence || 0,
+    timestamp: text.timestamp || 0,
+    originalText: text.text || "",
+    context: {
+      confidence: text.confidence || 0,
+      timestamp: text.timestamp || 0,
+      duration: 1,
+      frequency: 1,
+    },
+  }));
+
+  // Group text by proximity to combine related information
+  const groupedText = processedText.reduce((acc, text) => {
+    const timeWindow = 5; // 5 seconds window
+    const key = Math.floor(text.timestamp / timeWindow);
+
+    if (!acc[key]) {
+      acc[key] = [];
+    }
+
+    acc[key].push(text);
+    return acc;
+  }, {});
+
+  // Combine text within each time window
+  const combinedText = Object.values(groupedText).map((texts) => {
+    const combined = texts.reduce(
+      (acc, text) => {
+        acc.text += " " + text.text;
+        acc.confidence = Math.max(acc.confidence, text.confidence);
+        acc.timestamps.push(text.timestamp);
+        return acc;
+      },
+      {
+        text: "",
+        confidence: 0,
+        timestamps: [],
+      }
+    );
+
+    return {
+      text: combined.text.trim(),
+      confidence: combined.confidence,
+      timestamp: Math.min(...combined.timestamps),
+      originalTexts: texts,
+      context: {
+        duration:
+          Math.max(...combined.timestamps) - Math.min(...combined.timestamps),
+        frequency: texts.length,
+        timeRange: [
+          Math.min(...combined.timestamps),
+          Math.max(...combined.timestamps),
+        ],
+      },
+    };
+  });
+
+  console.log(
+    `[${new Date().toISOString()}] ✅ Processed data:`,
+    `Objects: ${Object.keys(processedObjects).length}, Labels: ${
+      processedLabels.length
+    }, Text: ${combinedText.length}`
+  );
+
+  return {
+    objects: processedObjects,
+    labels: processedLabels,
+    text: combinedText,
+    metadata: {
+      originalObjectCount: objects.length,
+      originalLabelCount: labels.length,
+      originalTextCount: text.length,
+      processingStats: {
+        objectRetentionRate:
+          (Object.keys(processedObjects).length / objects.length) * 100,
+        labelRetentionRate: (processedLabels.length / labels.length) * 100,
+        textRetentionRate: (combinedText.length / text.length) * 100,
+      },
+    },
+  };
+}
+
+// Function to clean and optimize data for API calls
+function cleanDataForAPI(data, type) {
+  switch (type) {
+    // Categorized labels or text, with the taxonomy type only where one
+    // matched below the category
+    case "labels":
+    case "text":
+      return Object.fromEntries(
+        Object.entries(data).map(([category, items]) => [
+          category,
+          items.map(({ type: itemType, ...item }) =>
+            itemType ? { ...item, type: itemType } : item
+          ),
+        ])
+      );
+
+    // Categorized objects from optimizeVideoData, without their occurrences
+    case "objects":
+      return Object.fromEntries(
+        Object.entries(data).map(([category, objects]) => [
+          category,
+          objects.map((object) => ({
+            name: object.name,
+            ...(object.type && { type: object.type }),
+            count: object.count,
+            confidence: Math.round(object.averageConfidence * 100) / 100,
+            firstSeen: object.firstSeen,
+            lastSeen: object.lastSeen,
+            context: object.context,
+          })),
+        ])
+      );
+
+    default:
+      return data;
+  }
+}
+
+// How every prompt asks for citations, which utils/evidence.js then checks
+// against the annotations
+const EVIDENCE_FORMAT = `{"source": "transcript|label|text|object", "start": seconds, "end": seconds, "snippet": "the exact words, label or on-screen text"}`;
+const EVIDENCE_INSTRUCTIONS = `Cite where each fact was found with evidence items like
+        ${EVIDENCE_FORMAT}
+        Take the times from the [start-end s] markers of the transcription, the "timestamp" and "endTimestamp" of labels and text, and the "firstSeen" and "lastSeen" of tracked objects.`;
+
+// The transcription with each sentence's time range in seconds, when the
+// words were timed
+function timedTranscript(transcription, segments = []) {
+  if (segments.length === 0) {
+    return transcription;
+  }
+  const round = (seconds) => Math.round(seconds * 10) / 10;
+  return segments
+    .map(
+      (segment) =>
+        `[${round(segment.timestamp)}-${round(segment.endTimestamp)}s] ${
+          segment.text
+        }`
+    )
+    .join("\n");
+}
+
+// Messages of the first analysis prompts, built from the data that fits
+// their context window
+function transcriptionMessages(transcription) {
+  return [
+    {
+      role: "system",
+      content:
+        "You are a professional real estate analyst. Your task is to analyze property video transcription data and extract key information about the property.",
+    },
+    {
+      role: "user",
+      content: `
+        Analyze this property video transcription and extract key information about the property.
+        Focus on:
+        - Property type and style
+        - Room descriptions and features
+        - Notable amenities and upgrades
+        - Price information
+        - Location details
+        - Any specific property characteristics mentioned
+
+        ${EVIDENCE_INSTRUCTIONS}
+
+        Transcription:
+        ${transcription || "No transcription available"}
+
+        Return a JSON object with:
+        {
+          "propertyType": "Inferred property type",
+          "style": "Architectural style",
+          "rooms": ["List of rooms mentioned"],
+          "features": ["List of features mentioned"],
+          "amenities": ["List of amenities mentioned"],
+          "price": "Any price information",
+          "location": "Location details",
+          "specialCharacteristics": ["Unique features mentioned"],
+          "evidence": [{"fact": "The fact this supports", ...evidence item}],
+          "confidence": "Overall confidence in analysis (0-100)",
+          "reasoning": "Explanation of how conclusions were drawn"
+        }`,
+    },
+  ];
+}
+
+function labelMessages(labels, objects) {
+  return [
+    {
+      role: "system",
+      content:
+        "You are a professional real estate analyst. Your task is to analyze property video label detection data and extract key information about the property's features and characteristics.",
+    },
+    {
+      role: "user",
+      content: `
+        Analyze this property video label detection data and extract key information about the property.
+        Focus on:
+        - Room types and spaces
+        - Architectural features
+        - Design elements
+        - Property style indicators
+        - Quality and condition indicators
+        - Appliances, fixtures and furniture that were tracked on screen
+
+        ${EVIDENCE_INSTRUCTIONS}
+
+        Label Detection Data (grouped by category):
+        ${JSON.stringify(labels, null, 2)}
+
+        Tracked Objects (grouped by category, with how often and when they were seen):
+        ${JSON.stringify(objects, null, 2)}
+
+        Return a JSON object with:
+        {
+          "roomTypes": ["List of detected room types"],
+          "appliances": ["List of appliances seen"],
+          "fixtures": ["List of fixtures seen"],
+          "furniture": ["List of furniture seen"],
+          "architecturalFeatures": ["List of architectural features"],
+          "designElements": ["List of design elements"],
+          "styleIndicators": ["List of style indicators"],
+          "qualityIndicators": ["List of quality indicators"],
+          "evidence": [{"fact": "The fact this supports", ...evidence item}],
+          "confidence": "Overall confidence in analysis (0-100)",
+          "reasoning": "Explanation of how conclusions were drawn"
+        }`,
+    },
+  ];
+}
+
+function textMessages(text) {
+  return [
+    {
+      role: "system",
+      content:
+        "You are a professional real estate analyst. Your task is to analyze property video text detection data and extract key information about the property's features and specifications.",
+    },
+    {
+      role: "user",
+      content: `
+        Analyze this property video text detection data and extract key information about the property.
+        Focus on:
+        - Property specifications
+        - Room labels and signs
+        - Price information
+        - Address and location details
+        - Any visible property information
+
+        ${EVIDENCE_INSTRUCTIONS}
+
+        Text Detection Data (grouped by category):
+        ${JSON.stringify(text, null, 2)}
+
+        Return a JSON object with:
+        {
+          "specifications": ["List of property specifications"],
+          "roomLabels": ["List of room labels"],
+          "priceInformation": "Any price information",
+          "locationDetails": "Location information",
+          "visibleInformation": ["List of visible property information"],
+          "evidence": [{"fact": "The fact this supports", ...evidence item}],
+          "confidence": "Overall confidence in analysis (0-100)",
+          "reasoning": "Explanation of how conclusions were drawn"
+        }`,
+    },
+  ];
+}
+
+// Instructions for combining the first analyses, each given as the text of
+// its answer
+function finalMessages(transcriptionAnalysis, labelAnalysis, textAnalysis) {
+  return [
+    {
+      role: "system",
+      content:
+        "You are a professional real estate analyst. Your task is to combine multiple data sources to create a comprehensive property analysis. Use your expertise to make intelligent inferences and connections between different data points.",
+    },
+    {
+      role: "user",
+      content: `
+        Combine these property analysis results to create a comprehensive property listing.
+        Use all available data to make informed inferences about the property.
+        Look for patterns and relationships between different data sources to draw stronger conclusions.
+
+        Transcription Analysis:
+        ${transcriptionAnalysis}
+
+        Label Detection and Object Tracking Analysis:
+        ${labelAnalysis}
+
+        Text Detection Analysis:
+        ${textAnalysis}
+
+        Return a detailed JSON object with:
+        {
+          "propertyOverview": {
+            "type": {
+              "value": "Infer property type (e.g., Single Family Home, Condo, etc.)",
+              "confidence": 0-100,
+              "reasoning": "Explain how this was determined",
+              "evidence": [evidence items]
+            },
+            "style": {
+              "value": "Architectural style based on visual elements and descriptions",
+              "confidence": 0-100,
+              "reasoning": "Explain style indicators",
+              "evidence": [evidence items]
+            },
+            "condition": {
+              "value": "Overall condition (Excellent, Good, Fair, etc.)",
+              "confidence": 0-100,
+              "reasoning": "List condition indicators",
+              "evidence": [evidence items]
+            }
+          },
+          "specifications": {
+            "bedrooms": {
+              "value": "number",
+              "confidence": 0-100,
+              "reasoning": "Evidence for bedroom count",
+              "evidence": [evidence items]
+            },
+            "bathrooms": {
+              "value": "number",
+              "confidence": 0-100,
+              "reasoning": "Evidence for bathroom count",
+              "evidence": [evidence items]
+            },
+            "squareFootage": {
+              "value": "total sq ft",
+              "confidence": 0-100,
+              "reasoning": "Size indicators",
+              "evidence": [evidence items]
+            },
+            "yearBuilt": {
+              "value": "year",
+              "confidence": 0-100,
+              "reasoning": "Age indicators",
+              "evidence": [evidence items]
+            },
+            "lotSize": {
+              "value": "acres/sq ft",
+              "confidence": 0-100,
+              "reasoning": "Lot size indicators",
+              "evidence": [evidence items]
+            },
+            "price": {
+              "value": "asking price, if given",
+              "confidence": 0-100,
+              "reasoning": "Price indicators",
+              "evidence": [evidence items]
+            }
+          },
+          "features": {
+            "interior": ["List with confidence scores"],
+            "exterior": ["List with confidence scores"],
+            "upgrades": ["List with confidence scores"],
+            "amenities": ["List with confidence scores"],
+            "appliances": ["List with confidence scores"],
+            "fixtures": ["List with confidence scores"]
+          },
+          "roomAnalysis": [
+            {
+              "room": "name",
+              "features": ["detailed features"],
+              "condition": "condition assessment",
+              "highlights": ["notable elements"],
+              "confidence": 0-100,
+              "evidence": [evidence items]
+            }
+          ],
+          "constructionDetails": {
+            "materials": [
+              {
+                "value": "Material with confidence score",
+                "evidence": [evidence items]
+              }
+            ],
+            "quality": {
+              "value": "assessment",
+              "confidence": 0-100,
+              "evidence": [evidence items]
+            },
+            "specialFeatures": ["List with confidence scores"]
+          },
+          "locationContext": {
+            "setting": {
+              "value": "Urban/Suburban/Rural",
+              "confidence": 0-100,
+              "evidence": [evidence items]
+            },
+            "surroundings": ["Notable elements"]
+          }
+        }
+
+        Guidelines:
+        1. Use all available data sources to make informed inferences
+        2. Look for patterns and correlations between different data sources
+        3. When information is unclear, use multiple data points to make educated estimates
+        4. Provide detailed reasoning that references specific data points
+        5. Consider the reliability and confidence of each data source
+        6. Format numbers consistently (e.g., "2,500" for square footage)
+        7. Use proper capitalization and complete sentences in descriptions
+        8. Ensure all JSON is properly formatted, with confidence scores as numbers
+        9. Give each value the evidence items of the analyses that support it, like
+           ${EVIDENCE_FORMAT}
+           keeping their source, times and snippets exactly, or an empty list when there are none
+        10. Return only the JSON object, no additional text`,
+    },
+  ];
+}
+
+// Tokens each first analysis may answer with, fewer when the final prompt
+// has no room for three answers this long
+const ANALYSIS_MAX_TOKENS = 2000;
+// Tokens the final analysis may answer with
+const FINAL_MAX_TOKENS = 4000;
+
+// Function to extract property details with the configured LLM. Resolves
+// to the property details and a report of how each prompt's data was
+// fitted to the context window.
+async function extractPropertyDetails(
+  transcription,
+  labelSummary,
+  textSummary,
+  objectSummary = {},
+  transcriptSegments = []
+) {
+  try {
+    console.log(
+      `[${new Date().toISOString()}] 🤖 Starting multi-stage LLM analysis`
+    );
+
+    // The first analyses' answers must fit the final prompt together
+    const analysisMaxTokens = Math.min(
+      ANALYSIS_MAX_TOKENS,
+      await promptBuilder.share("extract", 3, {
+        name: "final",
+        maxTokens: FINAL_MAX_TOKENS,
+        schema: PROPERTY_ANALYSIS_SCHEMA,
+        render: (analyses) => finalMessages(...analyses),
+      })
+    );
+
+    // Clean, deduplicate and rank the data, then keep what fits each prompt
+    const labels = promptBuilder.rank(
+      cleanDataForAPI(labelSummary, "labels"),
+      (label) => label.name
+    );
+    const text = promptBuilder.rank(
+      cleanDataForAPI(textSummary, "text"),
+      (item) => item.text
+    );
+    const fittedTranscript = await promptBuilder.fitTranscript(
+      "extract",
+      timedTranscript(transcription || "", transcriptSegments),
+      { maxTokens: analysisMaxTokens, render: transcriptionMessages }
+    );
+    const fittedLabels = await promptBuilder.fitSections(
+      "extract",
+      {
+        labels: labels.groups,
+        objects: cleanDataForAPI(objectSummary, "objects"),
+      },
+      {
+        maxTokens: analysisMaxTokens,
+        render: (sections) => labelMessages(sections.labels, sections.objects),
+      }
+    );
+    const fittedText = await promptBuilder.fitSections(
+      "extract",
+      { text: text.groups },
+      {
+        maxTokens: analysisMaxTokens,
+        render: (sections) => textMessages(sections.text),
+      }
+    );
+    const promptBudget = {
+      contextWindow: llmService.contextWindow("extract"),
+      analysisMaxTokens,
+      transcript: fittedTranscript.report,
+      labels: { ...fittedLabels.report.labels, duplicates: labels.duplicates },
+      objects: fittedLabels.report.objects,
+      text: { ...fittedText.report.text, duplicates: text.duplicates },
+    };
+
+    // 1. Analyze Transcription
+    const transcriptionAnalysis = await llmService.chat("extract", {
+      name: "transcription",
+      json: true,
+      messages: transcriptionMessages(fittedTranscript.text),
+      temperature: 0.3,
+      maxTokens: analysisMaxTokens,
+    });
+
+    // 2. Analyze Label Detection
+    const labelAnalysis = await llmService.chat("extract", {
+      name: "labels",
+      json: true,
+      messages: labelMessages(
+        fittedLabels.sections.labels,
+        fittedLabels.sections.objects
+      ),
+      temperature: 0.3,
+      maxTokens: analysisMaxTokens,
+    });
+
+    // 3. Analyze Text Detection
+    const textAnalysis = await llmService.chat("extract", {
+      name: "text",
+      json: true,
+      messages: textMessages(fittedText.sections.text),
+      temperature: 0.3,
+      maxTokens: analysisMaxTokens,
+    });
+
+    // 4. Generate the final property analysis, validated against
+    // schemas/propertyAnalysis.json
+    const analyses = [
+      transcriptionAnalysis.content,
+      labelAnalysis.content,
+      textAnalysis.content,
+    ];
+    // Checked before sending, since answers and prompts may be counted a
+    // little differently
+    await promptBuilder.fitVariants("extract", [analyses], {
+      name: "final",
+      maxTokens: FINAL_MAX_TOKENS,
+      schema: PROPERTY_ANALYSIS_SCHEMA,
+      render: (variant) => finalMessages(...variant),
+    });
+    const { data: finalJson } = await llmService.chatStructured("extract", {
+      name: "final",
+      schema: PROPERTY_ANALYSIS_SCHEMA,
+      messages: finalMessages(...analyses),
+      temperature: 0.7,
+      maxTokens: FINAL_MAX_TOKENS,
+    });
+
+    return { propertyDetails: finalJson, promptBudget };
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] ❌ Error in enhanced property analysis:`,
+      error
+    );
+    throw error;
+  }
+}
+
+// Instructions for writing the listing from the property details
+function documentMessages(details) {
+  return [
+    {
+      role: "system",
+      content:
+        "You are a property analyst. Create detailed, factual property listings based on video analysis and transcript data. Focus on objective features and avoid marketing language. Do not use any markdown formatting in your response.",
+    },
+    {
+      role: "user",
+      content: `
+        Create a factual property listing document based on video analysis and transcript data.
+        Focus on objective features and details observed in the video.
+      
+        Property Description
+        [Write a detailed factual description based on video analysis and transcript. Include:
+        - Property type and style
+        - Key structural features
+        - Notable materials and finishes
+        - Room layout and flow
+        - Any unique architectural elements
+        - Observed condition and maintenance
+        Focus on facts, not marketing language]
+
+        Property Details
+        Type: [Property Type]
+        Style: [Architectural Style]
+        Year Built: [Year]
+        Square Footage: [Size]
+        Lot Size: [Size]
+        Bedrooms: [Number]
+        Bathrooms: [Number]
+        Condition: [Condition]
+
+        Features
+        Interior:
+        • [List all observed interior features, materials, and finishes]
+
+        Exterior:
+        • [List all observed exterior features, materials, and finishes]
+
+        Rooms
+        [List each room with all observed features, including:
+        - Dimensions (if visible)
+        - Materials and finishes
+        - Built-in features
+        - Natural light sources
+        - Flooring type
+        - Ceiling features]
+
+        Location
+        Setting: [Urban/Suburban/Rural]
+        • [List all observed location features, including:
+        - Street type and condition
+        - Surrounding structures
+        - Natural features
+        - Access points
+        - Parking arrangements]
+
+        Property Analysis Data:
+        ${JSON.stringify(details, null, 2)}`,
+    },
+  ];
+}
+
+// Copy `node` without the properties named in `keys`, at any depth
+function omitKeys(node, keys) {
+  if (Array.isArray(node)) {
+    return node.map((item) => omitKeys(item, keys));
+  }
+  if (node && typeof node === "object") {
+    return Object.fromEntries(
+      Object.entries(node)
+        .filter(([key]) => !keys.includes(key))
+        .map(([key, value]) => [key, omitKeys(value, keys)])
+    );
+  }
+  return node;
+}
+
+// Tokens the listing document may take
+const DOCUMENT_MAX_TOKENS = 3000;
+
+// Function to generate and save formatted document to Google Drive
+async function generateAndSaveDocument(propertyDetails, source, fileName) {
+  try {
+    console.log(
+      `[${new Date().toISOString()}] 📝 Generating formatted document...`
+    );
+
+    // Clean up any markdown or special characters in the property details
+    const cleanPropertyDetails = JSON.parse(JSON.stringify(propertyDetails));
+    const cleanMarkdown = (obj) => {
+      if (typeof obj === "string") {
+        return obj
+          .replace(/\*\*/g, "") // Remove bold markdown
+          .replace(/\*/g, "") // Remove italic markdown
+          .replace(/`/g, "") // Remove code markdown
+          .replace(/\[|\]/g, "") // Remove square brackets
+          .replace(/#{1,6}\s/g, "") // Remove heading markdown
+          .replace(/\n\s*[-*+]\s/g, "\n• ") // Convert markdown lists to bullet points
+          .trim();
+      }
+      if (typeof obj === "object" && obj !== null) {
+        Object.keys(obj).forEach((key) => {
+          obj[key] = cleanMarkdown(obj[key]);
+        });
+      }
+      return obj;
+    };
+
+    const cleanedDetails = cleanMarkdown(cleanPropertyDetails);
+
+    // The evidence is listed after the document rather than passed to the
+    // model, and the reasoning goes too when the details are still too long
+    const { variant: details } = await promptBuilder.fitVariants(
+      "document",
+      [
+        omitKeys(cleanedDetails, ["evidence"]),
+        omitKeys(cleanedDetails, ["evidence", "reasoning"]),
+      ],
+      {
+        name: "document",
+        maxTokens: DOCUMENT_MAX_TOKENS,
+        render: documentMessages,
+      }
+    );
+
+    const completion = await llmService.chat("document", {
+      name: "document",
+      messages: documentMessages(details),
+      temperature: 0.3,
+      maxTokens: DOCUMENT_MAX_TOKENS,
+    });
+
+    let formattedContent = completion.content;
+
+    // Post-process the content to ensure clean formatting
+    formattedContent = formattedContent
+      .replace(/<[^>]*>/g, "") // Remove any HTML tags
+      .replace(/\r\n/g, "\n") // Normalize line breaks
+      .replace(/\n{3,}/g, "\n\n") // Remove excessive line breaks
+      .replace(/^([A-Z][A-Z\s&]+)$/gm, "$1") // Preserve section headers
+      .replace(/•\s*/g, "• ") // Standardize bullet points
+      .replace(/[-_]\s/g, "• ") // Convert dashes and underscores at start of lines to bullets
+      .trim();
+
+    // Note where in the video each value was seen, so reviewers can check it
+    const evidence = collectEvidence(propertyDetails);
+    if (evidence.length > 0) {
+      formattedContent += `\n\nVIDEO EVIDENCE\n${evidence
+        .map(
+          (entry) =>
+            `• ${entry.label}: ${entry.value}, ${formatSeenAt(entry.evidence)}`
+        )
+        .join("\n")}`;
+    }
+
+    // Link the listing back to the video it was generated from
+    if (source.driveLink) {
+      formattedContent += `\n\nSOURCE VIDEO\n${
+        source.originalName || fileName
+      }: ${source.driveLink}`;
+    }
+
+    const documentName = `${path.posix.parse(fileName).name} - MLS Listing`;
+
+    // Offline runs write the listing to a local file instead
+    if (documentWriter) {
+      return documentWriter.createDocument(documentName, formattedContent);
+    }
+
+    try {
+      console.log(
+        `[${new Date().toISOString()}] 📄 Creating document in folder: ${PROPERTY_ANALYSIS_FOLDER_ID}`
+      );
+
+      const fileMetadata = {
+        name: documentName,
+        parents: [PROPERTY_ANALYSIS_FOLDER_ID],
+        mimeType: "application/vnd.google-apps.document",
+      };
+
+      // Create an empty Google Doc
+      await rateLimiters.googleWrites.take();
+      const file = await drive.files.create({
+        requestBody: fileMetadata,
+        media: {
+          mimeType: "application/vnd.google-apps.document",
+          body: "",
+        },
+        fields: "id, name, webViewLink",
+      });
+
+      const docs = google.docs({ version: "v1", auth });
+
+      // Insert content first
+      await rateLimiters.googleWrites.take();
+      await docs.documents.batchUpdate({
+        documentId: file.data.id,
+        requestBody: {
+          requests: [
+            {
+              insertText: {
+                location: { index: 1 },
+                text: formattedContent,
+              },
+            },
+          ],
+        },
+      });
+
+      // Get the document to find section locations
+      const document = await docs.documents.get({
+        documentId: file.data.id,
+      });
+
+      // Prepare styling requests
+      const requests = [];
+      let currentIndex = 1;
+
+      // Process each paragraph
+      document.data.body.content.forEach((element) => {
+        if (element.paragraph) {
+          const text = element.paragraph.elements[0].textRun?.content || "";
+          const trimmedText = text.trim();
+
+          // Check if this is a section header (all caps)
+          if (trimmedText.match(/^[A-Z][A-Z\s&]+$/)) {
+            requests.push({
+              updateParagraphStyle: {
+                range: {
+                  startIndex: currentIndex,
+                  endIndex: currentIndex + text.length,
+                },
+                paragraphStyle: {
+                  namedStyleType: "HEADING_2",
+                },
+                fields: "namedStyleType",
+              },
+            });
+          }
+
+          currentIndex += text.length;
+        }
+      });
+
+      // Apply styles if there are any
+      if (requests.length > 0) {
+        await rateLimiters.googleWrites.take();
+        await docs.documents.batchUpdate({
+          documentId: file.data.id,
+          requestBody: { requests },
+        });
+      }
+
+      // Make the file publicly accessible
+      await rateLimiters.googleWrites.take();
+      await drive.permissions.create({
+        fileId: file.data.id,
+        requestBody: {
+          role: "reader",
+          type: "anyone",
+        },
+      });
+
+      // Get the public link
+      const fileDetails = await drive.files.get({
+        fileId: file.data.id,
+        fields: "id, name, webViewLink, webContentLink",
+      });
+
+      console.log(
+        `[${new Date().toISOString()}] ✅ Document created successfully:`,
+        `\nID: ${fileDetails.data.id}`,
+        `\nName: ${fileDetails.data.name}`,
+        `\nView Link: ${fileDetails.data.webViewLink}`,
+        `\nDownload Link: ${fileDetails.data.webContentLink}`
+      );
+
+      return {
+        fileId: fileDetails.data.id,
+        viewLink: fileDetails.data.webViewLink,
+        downloadLink: fileDetails.data.webContentLink,
+      };
+    } catch (createError) {
+      console.error(
+        `[${new Date().toISOString()}] ❌ Document creation error:`,
+        createError.message
+      );
+      throw new Error(`Failed to create document: ${createError.message}`, {
+        cause: createError,
+      });
+    }
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] ❌ Error generating document:`,
+      error
+    );
+    throw error;
+  }
+}
+
+// Build a link back to the source video in Google Drive
+function getDriveFileLink(driveFileId) {
+  return driveFileId
+    ? `https://drive.google.com/file/d/${driveFileId}/view`
+    : null;
+}
+
+// Read the source file details the transfer service writes as custom
+// metadata on the GCS object
+function getSourceFileInfo(objectMetadata = {}) {
+  const driveFileId = objectMetadata.driveFileId || null;
+  return {
+    driveFileId,
+    originalName: objectMetadata.originalName || null,
+    owner: objectMetadata.owner || null,
+    sourceFolderId: objectMetadata.sourceFolderId || null,
+    tags: objectMetadata.tags ? objectMetadata.tags.split(",") : [],
+    driveLink: getDriveFileLink(driveFileId),
+  };
+}
+
+// Read the source file details of an object that is already in GCS, for
+// callers that don't have its notification
+async function readSourceFileInfo(bucketName, fileName) {
+  const [metadata] = await storage
+    .bucket(bucketName)
+    .file(fileName)
+    .getMetadata();
+  return getSourceFileInfo(metadata.metadata);
+}
+
+function fileNotFoundError(bucketName, fileName) {
+  const error = new Error(
+    `File not found in bucket ${bucketName}: ${fileName}`
+  );
+  error.code = "FILE_NOT_FOUND";
+  error.retryable = false;
+  return error;
+}
+
+// Failing to reach GCS says nothing about the file, so it is always retried
+function fileAccessError(fileName, cause) {
+  const error = new Error(
+    `Failed to access file ${fileName}: ${cause.message}`,
+    { cause }
+  );
+  error.code = "FILE_ACCESS_FAILED";
+  error.retryable = true;
+  return error;
+}
+
+function missingCheckpointError(stage, fileName) {
+  const error = new Error(
+    `No ${stage} output checkpointed for ${fileName}, run the ${stage} stage first`
+  );
+  error.code = "MISSING_CHECKPOINT";
+  error.retryable = false;
+  return error;
+}
+
+function summarize(propertyDetails) {
+  return {
+    type: propertyDetails.propertyOverview?.type?.value || "Not specified",
+    style: propertyDetails.propertyOverview?.style?.value || "Not specified",
+    bedrooms:
+      propertyDetails.specifications?.bedrooms?.value || "Not specified",
+    squareFootage:
+      propertyDetails.specifications?.squareFootage?.value || "Not specified",
+    roomCount: propertyDetails.roomAnalysis?.length || 0,
+  };
+}
+
+// Function to process a video. `generation` identifies the upload whose
+// checkpoints may be resumed; `force` reruns every stage (true) or the
+// listed stages and everything after them. `only` limits the run to the
+// listed stages, taking the outputs of the others from their checkpoints.
+// `document: false` skips the listing and `store: false` writes nothing to
+// Firestore. `onProgress` receives the annotation progress of each video
+// feature. Once `signal` aborts, the run stops before its next stage with
+// the signal's reason, leaving the Drive status to whoever took over.
+async function processVideo(
+  bucketName,
+  fileName,
+  messageId,
+  source = {},
+  {
+    generation = null,
+    force = false,
+    only = null,
+    document = true,
+    store = true,
+    onProgress,
+    signal,
+  } = {}
+) {
+  const driveFileId = source.driveFileId || null;
+  // Statuses of this attempt never go back to an earlier stage
+  const statusSince = new Date().toISOString();
+
+  console.log(
+    `[${new Date().toISOString()}] 🎥 Processing video: ${fileName} (Message ID: ${messageId})`
+  );
+
+  // Log Drive file ID if available
+  if (driveFileId) {
+    console.log(
+      `[${new Date().toISOString()}] 🔗 Google Drive file ID: ${driveFileId} (${
+        source.originalName || "unknown name"
+      }, owner: ${source.owner || "unknown"})`
+    );
+  }
+
+  // Get the GCS URI for the video
+  const gcsUri = `gs://${bucketName}/${fileName}`;
+
+  // Check if the file exists in GCS before processing. Only a missing file
+  // is final; errors asking GCS are retried like a stage's.
+  try {
+    await withRetry("source", async () => {
+      let exists;
+      try {
+        [exists] = await storage.bucket(bucketName).file(fileName).exists();
+      } catch (error) {
+        throw fileAccessError(fileName, error);
+      }
+      if (!exists) {
+        throw fileNotFoundError(bucketName, fileName);
+      }
+    });
+  } catch (error) {
+    console.error(
+      `[${new Date().toISOString()}] ❌ Error checking file existence:`,
+      error.message
+    );
+    throw error;
+  }
+
+  try {
+    await driveStatusService.setStatus(
+      driveFileId,
+      DRIVE_STATUS_CONFIG.STATUSES.ANALYZING,
+      { since: statusSince }
+    );
+
+    // Resume after the last stage a previous attempt completed. Once a
+    // stage runs, every selected stage after it runs too. Storing always
+    // runs, it is cheap and keeps the summary in step with whichever stages
+    // did run.
+    const checkpoints = await firestoreService.getCheckpoints(
+      fileName,
+      generation
+    );
+    const selected = (stage) =>
+      (!only || only.includes(stage)) &&
+      (stage !== "document" || document) &&
+      (stage !== "store" || store);
+    const runs = new Set();
+    PIPELINE_CONFIG.STAGES.forEach((stage) => {
+      if (!selected(stage)) {
+        console.log(
+          `[${new Date().toISOString()}] ⏭️ Skipping ${stage}, not selected`
+        );
+      } else if (
+        runs.size > 0 ||
+        stage === "store" ||
+        force === true ||
+        (Array.isArray(force) && force.includes(stage)) ||
+        !checkpoints.stages[stage]
+      ) {
+        runs.add(stage);
+      } else {
+        console.log(
+          `[${new Date().toISOString()}] ⏭️ Skipping ${stage}, completed at ${
+            checkpoints.stages[stage].completedAt
+          }`
+        );
+      }
+    });
+    const completeStage = (stage, output) =>
+      store
+        ? firestoreService.completeStage(fileName, stage, generation, output)
+        : Promise.resolve();
+
+    let transcription = "";
+    let transcriptSegments = [];
+    let detectedObjects = [];
+    let detectedLabels = [];
+    let detectedText = [];
+    let firestoreId = null;
+    signal?.throwIfAborted();
+    if (runs.has("annotate")) {
+      ({
+        transcription,
+        transcriptSegments,
+        objects: detectedObjects,
+        labels: detectedLabels,
+        text: detectedText,
+      } = await withRetry("annotate", () =>
+        videoAnalysisService.analyzeVideo(gcsUri, { onProgress })
+      ));
+
+      if (store) {
+        // Store raw analysis results in Firestore
+        console.log(
+          `[${new Date().toISOString()}] 📝 Storing raw analysis in Firestore...`
+        );
+        firestoreId = await withRetry("store", () =>
+          firestoreService.storeVideoAnalysis(fileName, {
+            transcription,
+            transcriptSegments,
+            objects: detectedObjects,
+            labels: detectedLabels,
+            text: detectedText,
+            driveFileId,
+            source,
+          })
+        );
+      }
+      await completeStage("annotate");
+    } else if (checkpoints.unprocessed) {
+      transcription = checkpoints.unprocessed.transcription;
+      transcriptSegments = checkpoints.unprocessed.transcriptSegments || [];
+      detectedObjects = checkpoints.unprocessed.objects || [];
+      detectedLabels = checkpoints.unprocessed.labels;
+      detectedText = checkpoints.unprocessed.text;
+      firestoreId = checkpoints.firestoreId;
+    } else if (runs.has("extract") || runs.has("store")) {
+      throw missingCheckpointError("annotate", fileName);
+    }
+
+    // Check if we got a fallback ID
+    const isFallbackId =
+      !!firestoreId &&
+      (firestoreId.startsWith("fallback_") || firestoreId.startsWith("error_"));
+    if (isFallbackId) {
+      console.log(
+        `[${new Date().toISOString()}] ⚠️ Using fallback storage ID: ${firestoreId}`
+      );
+    } else if (firestoreId) {
+      console.log(
+        `[${new Date().toISOString()}] ✅ Raw analysis stored in Firestore with ID: ${firestoreId}`
+      );
+    }
+
+    // Summarize the object tracks, then sort objects, labels and text into
+    // the taxonomy's categories for the prompts
+    const { objects: objectSummary } = optimizeVideoData(
+      detectedObjects,
+      detectedLabels,
+      detectedText
+    );
+    const categorizedObjects = categorizeObjects(objectSummary);
+    const categorizedLabels = categorizeLabels(detectedLabels);
+    const categorizedText = categorizeText(detectedText);
+
+    // The prompt budget is only known when extract runs; stored analyses
+    // keep the one from the run that produced their details
+    let propertyDetails = checkpoints.outputs.extract;
+    let promptBudget;
+    signal?.throwIfAborted();
+    if (runs.has("extract")) {
+      // Extract property details with the configured LLM
+      console.log(`[${new Date().toISOString()}] 🤖 Processing with LLM...`);
+      ({ propertyDetails, promptBudget } = await withRetry("extract", () =>
+        extractPropertyDetails(
+          transcription,
+          categorizedLabels,
+          categorizedText,
+          categorizedObjects,
+          transcriptSegments
+        )
+      ));
+      console.log(`[${new Date().toISOString()}] ✅ LLM analysis completed`);
+      propertyDetails = verifyEvidence(propertyDetails, {
+        transcriptSegments,
+        objects: detectedObjects,
+        labels: detectedLabels,
+        text: detectedText,
+      });
+      await completeStage("extract", propertyDetails);
+    } else if (
+      !propertyDetails &&
+      (runs.has("document") || runs.has("store"))
+    ) {
+      throw missingCheckpointError("extract", fileName);
+    }
+
+    let documentId = checkpoints.outputs.document || null;
+    signal?.throwIfAborted();
+    if (runs.has("document")) {
+      // Generate and save formatted document to Google Drive
+      console.log(
+        `[${new Date().toISOString()}] 📝 Generating and saving formatted document...`
+      );
+      documentId = await withRetry("document", () =>
+        generateAndSaveDocument(propertyDetails, source, fileName)
+      );
+      console.log(`[${new Date().toISOString()}] ✅ Formatted document saved`);
+      await completeStage("document", documentId);
+    }
+
+    let processedAnalysisId = null;
+    signal?.throwIfAborted();
+    if (runs.has("store")) {
+      // Store processed analysis in Firestore
+      console.log(
+        `[${new Date().toISOString()}] 📝 Storing processed analysis in Firestore...`
+      );
+      processedAnalysisId = await withRetry("store", () =>
+        firestoreService.storeProcessedAnalysis(
+          fileName,
+          firestoreId,
+          propertyDetails,
+          driveFileId,
+          {
+            simplifiedSummary: summarize(propertyDetails),
+            categorizedLabels,
+            categorizedObjects: cleanDataForAPI(categorizedObjects, "objects"),
+            categorizedText,
+            detectedText: detectedText,
+            source,
+            listing: documentId,
+            evidence: collectEvidence(propertyDetails),
+            promptBudget,
+            isFallbackStorage: isFallbackId,
+          }
+        )
+      );
+      console.log(
+        `[${new Date().toISOString()}] ✅ Processed analysis stored in Firestore with ID: ${processedAnalysisId}`
+      );
+      await completeStage("store");
+    }
+
+    // Log a brief summary of the property details
+    if (propertyDetails) {
+      console.log(
+        `[${new Date().toISOString()}] 📊 Property details: ${
+          propertyDetails.propertyOverview?.type?.value || "Unknown type"
+        }, ${
+          propertyDetails.propertyOverview?.style?.value || "Unknown style"
+        }, ${
+          propertyDetails.specifications?.bedrooms?.value || "Unknown bedrooms"
+        } beds`
+      );
+    }
+
+    await driveStatusService.setStatus(
+      driveFileId,
+      DRIVE_STATUS_CONFIG.STATUSES.DONE,
+      {
+        listingId: documentId?.fileId,
+        listingLink: documentId?.viewLink,
+        since: statusSince,
+      }
+    );
+
+    console.log(
+      `[${new Date().toISOString()}] ✅ Successfully processed file: ${fileName}`
+    );
+
+    return {
+      success: true,
+      stages: [...runs],
+      transcription,
+      annotations: {
+        transcription,
+        transcriptSegments,
+        objects: detectedObjects,
+        labels: detectedLabels,
+        text: detectedText,
+      },
+      propertyDetails: propertyDetails || null,
+      promptBudget: promptBudget || null,
+      simplifiedSummary: propertyDetails ? summarize(propertyDetails) : null,
+      firestoreId,
+      processedAnalysisId,
+      listing: documentId,
+      source,
+    };
+  } catch (error) {
+    if (signal?.aborted) {
+      throw error;
+    }
+    console.error(
+      `[${new Date().toISOString()}] ❌ Error processing video:`,
+      error.message
+    );
+    await driveStatusService.setStatus(
+      driveFileId,
+      DRIVE_STATUS_CONFIG.STATUSES.FAILED,
+      { reason: error.message, since: statusSince }
+    );
+    throw error;
+  }
+}
+
+module.exports = {
+  getSourceFileInfo,
+  readSourceFileInfo,
+  processVideo,
+};
@@ -0,0 +1,24 @@
+const TokenBucket = require("../utils/rateLimiter");
+const { RATE_LIMIT_CONFIG } = require("../config/constants");
+
+// Shared by every job running on this instance
+module.exports = {
+  videoIntelligence: new TokenBucket("Video Intelligence requests", {
+    perMinute: RATE_LIMIT_CONFIG.VIDEO_INTELLIGENCE_REQUESTS,
+  }),
+  openaiRequests: new TokenBucket("OpenAI requests", {
+    perMinute: RATE_LIMIT_CONFIG.OPENAI_REQUESTS,
+  }),
+  openaiTokens: new TokenBucket("OpenAI tokens", {
+    perMinute: RATE_LIMIT_CONFIG.OPENAI_TOKENS,
+  }),
+  geminiRequests: new TokenBucket("Gemini requests", {
+    perMinute: RATE_LIMIT_CONFIG.GEMINI_REQUESTS,
+  }),
+  geminiTokens: new TokenBucket("Gemini tokens", {
+    perMinute: RATE_LIMIT_CONFIG.GEMINI_TOKENS,
+  }),
+  googleWrites: new TokenBucket("Google Docs and Drive writes", {
+    perMinute: RATE_LIMIT_CONFIG.GOOGLE_WRITES,
+  }),
+};
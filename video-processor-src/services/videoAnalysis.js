@@ -1,138 +1,247 @@
-const { Storage } = require("@google-cloud/storage");
-const videoIntelligence = require("@google-cloud/video-intelligence");
-const { API_CONFIG, API_FEATURES } = require("../config/constants");
+const rateLimiters = require("./rateLimiters");
+const { createVideoIntelligenceClient } = require("./clients");
+const {
+  API_CONFIG,
+  API_FEATURES,
+  ANALYSIS_CONFIG,
+} = require("../config/constants");
 
-const storage = new Storage();
-const videoClient = new videoIntelligence.VideoIntelligenceServiceClient();
+// The part of the request's videoContext each feature needs
+const FEATURE_CONTEXTS = {
+  TRANSCRIPTION: {
+    speechTranscriptionConfig: {
+      languageCode: API_CONFIG.LANGUAGE_CODE,
+      enableAutomaticPunctuation: API_CONFIG.ENABLE_AUTOMATIC_PUNCTUATION,
+      enableWordTimeOffsets: API_CONFIG.ENABLE_WORD_TIME_OFFSETS,
+    },
+  },
+};
+
+// Fields of VideoAnnotationResults holding each feature's annotations
+const RESULT_FIELDS = [
+  "speechTranscriptions",
+  "segmentLabelAnnotations",
+  "shotLabelAnnotations",
+  "textAnnotations",
+  "objectAnnotations",
+];
+
+// Duration offsets carry whole seconds (possibly as a Long) and nanos
+function toSeconds(offset) {
+  return Number(offset?.seconds || 0) + (offset?.nanos || 0) / 1e9;
+}
+
+// Boxes are fractions of the frame size; the API omits zero edges
+function normalizeBox(box) {
+  return {
+    left: box?.left || 0,
+    top: box?.top || 0,
+    right: box?.right || 0,
+    bottom: box?.bottom || 0,
+  };
+}
+
+// Keep at most `max` frames, always including the first and last
+function sampleFrames(frames, max) {
+  if (frames.length <= max) {
+    return frames;
+  }
+  const step = (frames.length - 1) / (max - 1);
+  return Array.from({ length: max }, (_, i) => frames[Math.round(i * step)]);
+}
+
+// A feature failed inside an operation that otherwise succeeded. Worth
+// retrying: most such errors are transient, and a listing built without the
+// feature (no speech, say) would silently be worse.
+function featureFailedError(errors) {
+  const error = new Error(
+    `Video analysis failed for ${errors.length} result${
+      errors.length === 1 ? "" : "s"
+    }: ${errors.map((item) => item.message).join("; ")}`
+  );
+  error.code = "FEATURE_FAILED";
+  error.retryable = true;
+  error.featureErrors = errors;
+  return error;
+}
 
 class VideoAnalysisService {
   constructor() {
-    this.processedFiles = new Set();
-    this.failedFiles = new Set();
-    this.processedMessageIds = new Set();
+    this.client = createVideoIntelligenceClient();
   }
 
-  async analyzeVideo(bucketName, fileName, messageId) {
-    console.log(
-      `[${new Date().toISOString()}] 🎥 Processing video: ${fileName} (Message ID: ${messageId})`
-    );
+  // One request covering every feature, with their videoContext combined
+  buildRequest(gcsUri, features) {
+    const unknown = features.filter((feature) => !API_FEATURES[feature]);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown video features: ${unknown.join(", ")}`);
+    }
 
-    const gcsUri = `gs://${bucketName}/${fileName}`;
-
-    // Create requests for each analysis type
-    const requests = {
-      transcription: {
-        inputUri: gcsUri,
-        features: API_FEATURES.TRANSCRIPTION,
-        videoContext: {
-          speechTranscriptionConfig: {
-            languageCode: API_CONFIG.LANGUAGE_CODE,
-            enableAutomaticPunctuation: API_CONFIG.ENABLE_AUTOMATIC_PUNCTUATION,
-          },
-        },
-      },
-      objectTracking: {
-        inputUri: gcsUri,
-        features: API_FEATURES.OBJECT_TRACKING,
-      },
-      labelDetection: {
-        inputUri: gcsUri,
-        features: API_FEATURES.LABEL_DETECTION,
-      },
-      textDetection: {
-        inputUri: gcsUri,
-        features: API_FEATURES.TEXT_DETECTION,
-      },
+    return {
+      inputUri: gcsUri,
+      features: features.flatMap((feature) => API_FEATURES[feature]),
+      videoContext: Object.assign(
+        {},
+        ...features.map((feature) => FEATURE_CONTEXTS[feature] || {})
+      ),
     };
+  }
 
-    try {
-      // Start all video annotation operations
-      console.log(
-        `[${new Date().toISOString()}] 🔄 Starting video analysis...`
-      );
-      const operations = await Promise.all(
-        Object.values(requests).map((request) =>
-          videoClient.annotateVideo(request)
-        )
-      );
+  // Analyze a video with a single annotateVideo operation. `onProgress` is
+  // called with each feature's progress as the operation is polled.
+  async analyzeVideo(
+    gcsUri,
+    { features = ANALYSIS_CONFIG.FEATURES, onProgress } = {}
+  ) {
+    const request = this.buildRequest(gcsUri, features);
+
+    await rateLimiters.videoIntelligence.take();
+    console.log(
+      `[${new Date().toISOString()}] 🔄 Starting video analysis: ${request.features.join(
+        ", "
+      )}`
+    );
+    const [operation] = await this.client.annotateVideo(request);
 
+    operation.on("progress", (metadata) => {
+      const progress = (metadata?.annotationProgress || []).map((item) => ({
+        feature: String(item.feature),
+        percent: item.progressPercent || 0,
+      }));
       console.log(
-        `[${new Date().toISOString()}] ⏳ Waiting for all operations to complete...`
-      );
-      const responses = await Promise.all(
-        operations.map(([operation]) => operation.promise())
+        `[${new Date().toISOString()}] ⏳ Analysis progress: ${progress
+          .map(({ feature, percent }) => `${feature} ${percent}%`)
+          .join(", ")}`
       );
+      if (onProgress) {
+        onProgress(progress);
+      }
+    });
 
-      console.log(`[${new Date().toISOString()}] ✅ Video analysis completed`);
-
-      // Process results
-      const results = {
-        transcription: this.processTranscriptionResults(
-          responses[0].annotationResults[0]
-        ),
-        objects: this.processObjectTrackingResults(
-          responses[1].annotationResults[0]
-        ),
-        labels: this.processLabelDetectionResults(
-          responses[2].annotationResults[0]
-        ),
-        text: this.processTextDetectionResults(
-          responses[3].annotationResults[0]
-        ),
-      };
+    const [response] = await operation.promise();
+    console.log(`[${new Date().toISOString()}] ✅ Video analysis completed`);
 
-      // Display analysis summary
-      this.displayAnalysisSummary(results);
-
-      return results;
-    } catch (error) {
-      console.error(
-        `[${new Date().toISOString()}] ❌ Error analyzing video:`,
-        error.message
+    const annotations = this.splitResults(response.annotationResults || []);
+    if (features.includes("TRANSCRIPTION") && !annotations.hasResults) {
+      throw new Error(
+        "No transcription results returned from Video Intelligence API"
       );
-      this.failedFiles.add(fileName);
-      throw error;
     }
+
+    const results = {
+      transcription: this.processTranscriptionResults(annotations),
+      transcriptSegments: this.processTranscriptSegments(annotations),
+      objects: this.processObjectTrackingResults(annotations),
+      labels: this.processLabelDetectionResults(annotations),
+      text: this.processTextDetectionResults(annotations),
+    };
+    this.displayAnalysisSummary(results);
+    return results;
   }
 
-  processTranscriptionResults(results) {
-    if (!results) {
-      throw new Error(
-        "No transcription results returned from Video Intelligence API"
-      );
+  // Combine the annotations of every result entry by feature. The API may
+  // return one entry per feature or segment, and a feature that failed
+  // reports its error in its own entry without failing the operation, so
+  // any such error is thrown here.
+  splitResults(annotationResults) {
+    const annotations = { hasResults: annotationResults.length > 0 };
+    RESULT_FIELDS.forEach((field) => {
+      annotations[field] = [];
+    });
+
+    const errors = [];
+    annotationResults.forEach((result) => {
+      if (result.error) {
+        console.error(
+          `[${new Date().toISOString()}] ❌ Video analysis error: ${
+            result.error.message
+          }`
+        );
+        errors.push({ code: result.error.code, message: result.error.message });
+      }
+      RESULT_FIELDS.forEach((field) => {
+        annotations[field].push(...(result[field] || []));
+      });
+    });
+    if (errors.length > 0) {
+      throw featureFailedError(errors);
     }
+    return annotations;
+  }
 
-    return (
-      results.speechTranscriptions
-        ?.map(
-          (transcription) => transcription.alternatives[0]?.transcript || ""
-        )
-        .join(" ") || ""
-    );
+  processTranscriptionResults(annotations) {
+    return annotations.speechTranscriptions
+      .map((transcription) => transcription.alternatives[0]?.transcript || "")
+      .join(" ");
   }
 
-  processObjectTrackingResults(results) {
-    return (results?.objectAnnotations || []).map((track) => ({
-      description: track.entity.description,
-      confidence: track.frames[0].normalizedBoundingBox.confidence,
-      timestamp: track.frames[0].timeOffset.seconds,
-    }));
+  // Split the transcription into sentences timed by their first and last
+  // words. Empty when the words weren't timed.
+  processTranscriptSegments(annotations) {
+    const segments = [];
+    annotations.speechTranscriptions.forEach((transcription) => {
+      const alternative = transcription.alternatives[0];
+      let words = [];
+      (alternative?.words || []).forEach((word, index, all) => {
+        words.push(word);
+        if (/[.!?]$/.test(word.word) || index === all.length - 1) {
+          segments.push({
+            text: words.map((item) => item.word).join(" "),
+            confidence: alternative.confidence,
+            timestamp: toSeconds(words[0].startTime),
+            endTimestamp: toSeconds(words[words.length - 1].endTime),
+          });
+          words = [];
+        }
+      });
+    });
+    return segments;
   }
 
-  processLabelDetectionResults(results) {
-    return (results?.segmentLabelAnnotations || []).map((segment) => ({
-      description: segment.entity.description,
-      confidence: segment.segments[0].confidence,
-      timestamp: segment.segments[0].segment.startTimeOffset.seconds,
-    }));
+  // Normalize each object track into a TrackedObject (types/index.js)
+  processObjectTrackingResults(annotations) {
+    return annotations.objectAnnotations.map((track) => {
+      const frames = (track.frames || []).map((frame) => ({
+        timestamp: toSeconds(frame.timeOffset),
+        box: normalizeBox(frame.normalizedBoundingBox),
+      }));
+      return {
+        description: track.entity.description,
+        confidence: track.confidence,
+        timestamp: toSeconds(track.segment?.startTimeOffset),
+        endTimestamp: toSeconds(track.segment?.endTimeOffset),
+        frames: sampleFrames(frames, ANALYSIS_CONFIG.MAX_TRACK_FRAMES),
+      };
+    });
   }
 
-  processTextDetectionResults(results) {
-    return (results?.textAnnotations || []).map((text) => ({
-      text: text.text,
-      confidence: text.confidence,
-      timestamp: text.segments[0].segment.startTimeOffset.seconds,
-    }));
+  // One Label per shot a label was seen in. Segment labels cover the whole
+  // video, so they are only used when no shots were labelled.
+  processLabelDetectionResults(annotations) {
+    const labels =
+      annotations.shotLabelAnnotations.length > 0
+        ? annotations.shotLabelAnnotations
+        : annotations.segmentLabelAnnotations;
+    return labels.flatMap((label) =>
+      (label.segments || []).map((segment) => ({
+        description: label.entity.description,
+        confidence: segment.confidence,
+        timestamp: toSeconds(segment.segment?.startTimeOffset),
+        endTimestamp: toSeconds(segment.segment?.endTimeOffset),
+      }))
+    );
+  }
+
+  // One Text per segment the text was on screen in
+  processTextDetectionResults(annotations) {
+    return annotations.textAnnotations.flatMap((text) =>
+      (text.segments || []).map((segment) => ({
+        text: text.text,
+        confidence: segment.confidence,
+        timestamp: toSeconds(segment.segment?.startTimeOffset),
+        endTimestamp: toSeconds(segment.segment?.endTimeOffset),
+      }))
+    );
   }
 
   displayAnalysisSummary(results) {
@@ -5,20 +5,51 @@ const VideoAnalysisTypes = {
     confidence: Number,
     timestamp: Number,
   },
+  TranscriptSegment: {
+    text: String,
+    confidence: Number,
+    timestamp: Number,
+    endTimestamp: Number,
+  },
   Label: {
     description: String,
     confidence: Number,
     timestamp: Number,
+    endTimestamp: Number,
   },
   Text: {
     text: String,
     confidence: Number,
     timestamp: Number,
+    endTimestamp: Number,
+  },
+  TrackedObject: {
+    description: String,
+    confidence: Number,
+    timestamp: Number,
+    endTimestamp: Number,
+    frames: Array,
+  },
+  TrackFrame: {
+    timestamp: Number,
+    box: Object,
+  },
+  BoundingBox: {
+    left: Number,
+    top: Number,
+    right: Number,
+    bottom: Number,
   },
 };
 
 // Types for categorized data
 const CategorizedDataTypes = {
+  Objects: {
+    furniture: Array,
+    appliances: Array,
+    fixtures: Array,
+    other: Array,
+  },
   Labels: {
     rooms: Array,
     styles: Array,
@@ -33,6 +64,22 @@ const CategorizedDataTypes = {
   },
 };
 
+// Types for the property analysis. Assessments, rooms and cited list
+// items carry evidence: where in the video a value came from.
+const PropertyAnalysisTypes = {
+  Evidence: {
+    source: String, // transcript, label, text or object
+    start: Number, // seconds into the video
+    end: Number,
+    snippet: String,
+    verified: Boolean, // matched against the annotations
+  },
+  CitedValue: {
+    value: String,
+    evidence: Array,
+  },
+};
+
 // Types for API requests
 const ApiRequestTypes = {
   Transcription: {
@@ -53,5 +100,6 @@ const ApiRequestTypes = {
 module.exports = {
   VideoAnalysisTypes,
   CategorizedDataTypes,
+  PropertyAnalysisTypes,
   ApiRequestTypes,
 };
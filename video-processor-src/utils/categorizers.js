@@ -1,120 +1,73 @@
-const { KEYWORDS } = require("../config/constants");
+const { TAXONOMY_CONFIG } = require("../config/constants");
+const { loadTaxonomy, classify } = require("./taxonomy");
 
-// Categorize objects into furniture, appliances, fixtures, and other
-function categorizeObjects(objectSummary) {
-  const categorizedObjects = {
-    furniture: [],
-    appliances: [],
-    fixtures: [],
-    other: [],
-  };
+// Loaded when the service starts, so a broken taxonomy stops it right away
+const taxonomy = loadTaxonomy(TAXONOMY_CONFIG.PATH);
+console.log(
+  `[${new Date().toISOString()}] 📚 Loaded property taxonomy from ${
+    TAXONOMY_CONFIG.PATH
+  }`
+);
 
-  Object.entries(objectSummary).forEach(([object, data]) => {
-    const objectLower = object.toLowerCase();
-    if (KEYWORDS.FURNITURE.some((keyword) => objectLower.includes(keyword))) {
-      categorizedObjects.furniture.push({ name: object, ...data });
-    } else if (
-      KEYWORDS.APPLIANCES.some((keyword) => objectLower.includes(keyword))
-    ) {
-      categorizedObjects.appliances.push({ name: object, ...data });
-    } else if (
-      KEYWORDS.FIXTURES.some((keyword) => objectLower.includes(keyword))
-    ) {
-      categorizedObjects.fixtures.push({ name: object, ...data });
-    } else {
-      categorizedObjects.other.push({ name: object, ...data });
-    }
+// Sort items into the categories the taxonomy assigns to a categorizer,
+// plus "other". Each entry gets its place in the category as `type`, e.g.
+// "outdoor living > lanai".
+function categorize(type, items, textOf, entryOf) {
+  const categorized = { other: [] };
+  taxonomy.categorizers[type].forEach((category) => {
+    categorized[category] = [];
   });
 
-  return categorizedObjects;
-}
+  items.forEach((item) => {
+    const { category, path } = classify(taxonomy, type, textOf(item));
+    categorized[category].push({
+      ...entryOf(item),
+      type: path.length > 0 ? path.join(" > ") : null,
+    });
+  });
 
-// Categorize labels into rooms, styles, materials, and other
-function categorizeLabels(detectedLabels) {
-  const categorizedLabels = {
-    rooms: [],
-    styles: [],
-    materials: [],
-    features: [],
-    other: [],
-  };
+  return categorized;
+}
 
-  detectedLabels.forEach((label) => {
-    const labelLower = label.description.toLowerCase();
-    if (KEYWORDS.ROOMS.some((keyword) => labelLower.includes(keyword))) {
-      categorizedLabels.rooms.push({
-        name: label.description,
-        confidence: label.confidence,
-      });
-    } else if (
-      KEYWORDS.STYLES.some((keyword) => labelLower.includes(keyword))
-    ) {
-      categorizedLabels.styles.push({
-        name: label.description,
-        confidence: label.confidence,
-      });
-    } else if (
-      KEYWORDS.MATERIALS.some((keyword) => labelLower.includes(keyword))
-    ) {
-      categorizedLabels.materials.push({
-        name: label.description,
-        confidence: label.confidence,
-      });
-    } else if (
-      labelLower.includes("feature") ||
-      labelLower.includes("design")
-    ) {
-      categorizedLabels.features.push({
-        name: label.description,
-        confidence: label.confidence,
-      });
-    } else {
-      categorizedLabels.other.push({
-        name: label.description,
-        confidence: label.confidence,
-      });
-    }
-  });
+// Categorize an optimizeVideoData object summary into furniture,
+// appliances, fixtures, and other
+function categorizeObjects(objectSummary) {
+  return categorize(
+    "objects",
+    Object.entries(objectSummary),
+    ([object]) => object,
+    ([object, data]) => ({ name: object, ...data })
+  );
+}
 
-  return categorizedLabels;
+// Categorize labels into rooms, styles, materials, features, and other
+function categorizeLabels(detectedLabels) {
+  return categorize(
+    "labels",
+    detectedLabels,
+    (label) => label.description,
+    (label) => ({
+      name: label.description,
+      confidence: label.confidence,
+      timestamp: label.timestamp,
+      endTimestamp: label.endTimestamp,
+    })
+  );
 }
 
 // Categorize text into property details, prices, and other
 function categorizeText(detectedText) {
-  const categorizedText = {
-    propertyDetails: [],
-    prices: [],
-    other: [],
-  };
-
-  detectedText.forEach((text) => {
-    const textLower = text.text.toLowerCase();
-    if (textLower.includes("$") || /\d+/.test(text.text)) {
-      categorizedText.prices.push({
-        text: text.text,
-        confidence: text.confidence,
-      });
-    } else if (
-      textLower.includes("bedroom") ||
-      textLower.includes("bathroom") ||
-      textLower.includes("square") ||
-      textLower.includes("foot") ||
-      textLower.includes("year") ||
-      textLower.includes("built")
-    ) {
-      categorizedText.propertyDetails.push({
-        text: text.text,
-        confidence: text.confidence,
-      });
-    } else {
-      categorizedText.other.push({
-        text: text.text,
-        confidence: text.confidence,
-      });
-    }
-  });
-
-  return categorizedText;
+  return categorize(
+    "text",
+    detectedText,
+    (text) => text.text,
+    (text) => ({
+      text: text.text,
+      confidence: text.confidence,
+      timestamp: text.timestamp,
+      endTimestamp: text.endTimestamp,
+    })
+  );
 }
 
 module.exports = {
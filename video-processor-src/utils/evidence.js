@@ -0,0 +1,207 @@
+const { EVIDENCE_CONFIG } = require("../config/constants");
+
+// How a citation's source reads in a listing
+const SOURCE_NAMES = {
+  transcript: "said",
+  label: "label",
+  text: "on screen",
+  object: "tracked object",
+};
+
+function normalize(text) {
+  return String(text || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9$]+/g, " ")
+    .trim();
+}
+
+// "squareFootage" -> "Square footage"
+function humanize(key) {
+  const words = String(key)
+    .replace(/([a-z])([A-Z])/g, "$1 $2")
+    .toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+// 135 -> "02:15", 3735 -> "1:02:15"
+function formatTimestamp(seconds) {
+  const total = Math.max(0, Math.floor(seconds || 0));
+  const hours = Math.floor(total / 3600);
+  const minutes = String(Math.floor((total % 3600) / 60)).padStart(2, "0");
+  const secs = String(total % 60).padStart(2, "0");
+  return hours > 0 ? `${hours}:${minutes}:${secs}` : `${minutes}:${secs}`;
+}
+
+// The annotations a citation may quote, by source, each with its text and
+// time range. Labels and text stored before they had an end time span just
+// their start.
+function buildSources({
+  transcriptSegments = [],
+  objects = [],
+  labels = [],
+  text = [],
+}) {
+  return {
+    transcript: transcriptSegments.map((segment) => ({
+      text: segment.text,
+      start: segment.timestamp,
+      end: segment.endTimestamp,
+    })),
+    label: labels.map((label) => ({
+      text: label.description,
+      start: Number(label.timestamp) || 0,
+      end: Number(label.endTimestamp ?? label.timestamp) || 0,
+    })),
+    text: text.map((item) => ({
+      text: item.text,
+      start: Number(item.timestamp) || 0,
+      end: Number(item.endTimestamp ?? item.timestamp) || 0,
+    })),
+    object: objects.map((object) => ({
+      text: object.description,
+      start: object.timestamp,
+      end: object.endTimestamp,
+    })),
+  };
+}
+
+// Find the annotations a citation quotes: first around the cited time, then
+// anywhere in the video in case the model got the time wrong. A quote from
+// the transcript may run over more than one sentence.
+function findQuoted(reference, items) {
+  const snippet = normalize(reference.snippet);
+  if (!snippet) {
+    return [];
+  }
+  const start = reference.start - EVIDENCE_CONFIG.TIME_TOLERANCE_SECONDS;
+  const end =
+    (reference.end ?? reference.start) + EVIDENCE_CONFIG.TIME_TOLERANCE_SECONDS;
+  const isNear = (item) => item.end >= start && item.start <= end;
+  const isQuoted = (item) => {
+    const text = normalize(item.text);
+    return (
+      text.includes(snippet) ||
+      (reference.source !== "transcript" && !!text && snippet.includes(text))
+    );
+  };
+
+  const near = items.filter(isNear);
+  const quoted = near.filter(isQuoted);
+  if (quoted.length > 0) {
+    return quoted;
+  }
+  if (
+    reference.source === "transcript" &&
+    normalize(near.map((item) => item.text).join(" ")).includes(snippet)
+  ) {
+    return near;
+  }
+  return items.filter(isQuoted).slice(0, 1);
+}
+
+function verifyReference(reference, sources) {
+  const quoted = findQuoted(reference, sources[reference.source] || []);
+  if (quoted.length === 0) {
+    return { ...reference, verified: false };
+  }
+  return {
+    ...reference,
+    start: Math.min(...quoted.map((item) => item.start)),
+    end: Math.max(...quoted.map((item) => item.end)),
+    verified: true,
+  };
+}
+
+// Copy `node` with `update` applied to every evidence list in it
+function mapEvidence(node, update) {
+  if (Array.isArray(node)) {
+    return node.map((item) => mapEvidence(item, update));
+  }
+  if (node && typeof node === "object") {
+    return Object.fromEntries(
+      Object.entries(node).map(([key, value]) => [
+        key,
+        key === "evidence" && Array.isArray(value)
+          ? update(value)
+          : mapEvidence(value, update),
+      ])
+    );
+  }
+  return node;
+}
+
+// Check every citation in the property details against the annotations it
+// quotes. Found ones are marked verified and get the quoted annotations'
+// time range; the rest are kept, marked unverified, for a reviewer to check.
+function verifyEvidence(propertyDetails, annotations) {
+  const sources = buildSources(annotations);
+  let verified = 0;
+  let total = 0;
+  const checked = mapEvidence(propertyDetails, (evidence) =>
+    evidence.map((reference) => {
+      const result = verifyReference(reference, sources);
+      total++;
+      verified += result.verified ? 1 : 0;
+      return result;
+    })
+  );
+  console.log(
+    `[${new Date().toISOString()}] 🔎 Verified ${verified} of ${total} evidence citations`
+  );
+  return checked;
+}
+
+// Every cited value in the property details, as { field, label, value,
+// evidence } with `field` the dotted path to the value
+function collectEvidence(propertyDetails, path = []) {
+  if (Array.isArray(propertyDetails)) {
+    return propertyDetails.flatMap((item, index) =>
+      collectEvidence(item, [...path, index])
+    );
+  }
+  if (!propertyDetails || typeof propertyDetails !== "object") {
+    return [];
+  }
+
+  const entries = [];
+  if (
+    Array.isArray(propertyDetails.evidence) &&
+    propertyDetails.evidence.length > 0
+  ) {
+    const isRoom = propertyDetails.room !== undefined;
+    const key = path.filter((part) => typeof part === "string").pop();
+    entries.push({
+      field: path.join("."),
+      label: isRoom ? "Room" : humanize(key),
+      value: String(isRoom ? propertyDetails.room : propertyDetails.value),
+      evidence: propertyDetails.evidence,
+    });
+  }
+  Object.entries(propertyDetails).forEach(([key, value]) => {
+    if (key !== "evidence") {
+      entries.push(...collectEvidence(value, [...path, key]));
+    }
+  });
+  return entries;
+}
+
+// "seen at 00:02 (on screen: "3 BR | 2 BA"), 00:13 (said: "three bedroom")"
+function formatSeenAt(evidence) {
+  return `seen at ${evidence
+    .map(
+      (reference) =>
+        `${formatTimestamp(reference.start)} (${
+          SOURCE_NAMES[reference.source] || reference.source
+        }: "${reference.snippet}"${
+          reference.verified === false ? ", unverified" : ""
+        })`
+    )
+    .join(", ")}`;
+}
+
+module.exports = {
+  formatTimestamp,
+  formatSeenAt,
+  verifyEvidence,
+  collectEvidence,
+};
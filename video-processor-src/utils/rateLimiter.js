@@ -0,0 +1,63 @@
+// Token bucket holding up to `capacity` tokens and refilling continuously at
+// `perMinute` tokens a minute. A limit of 0 disables the bucket.
+class TokenBucket {
+  constructor(name, { perMinute, capacity = perMinute }) {
+    this.name = name;
+    this.perMinute = perMinute;
+    this.capacity = capacity;
+    this.tokens = capacity;
+    this.updatedAt = Date.now();
+    // Waiters are served in order, so a large request isn't starved by a
+    // stream of small ones
+    this.queue = Promise.resolve();
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(
+      this.capacity,
+      this.tokens + ((now - this.updatedAt) * this.perMinute) / 60000
+    );
+    this.updatedAt = now;
+  }
+
+  // Wait until `count` tokens are available and take them. Requests larger
+  // than the bucket only wait for a full bucket.
+  take(count = 1) {
+    if (!this.perMinute) {
+      return Promise.resolve();
+    }
+
+    const amount = Math.min(count, this.capacity);
+    const turn = this.queue.then(() => this.waitFor(amount));
+    this.queue = turn.catch(() => {});
+    return turn;
+  }
+
+  async waitFor(amount) {
+    this.refill();
+    if (this.tokens < amount) {
+      const waitMs = Math.ceil(
+        ((amount - this.tokens) * 60000) / this.perMinute
+      );
+      console.log(
+        `[${new Date().toISOString()}] ⏳ Rate limit ${
+          this.name
+        }: waiting ${waitMs}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, waitMs));
+      this.refill();
+    }
+    this.tokens -= amount;
+  }
+
+  // Correct an estimate once the real cost is known. A positive delta takes
+  // more tokens (the bucket may go into debt), a negative one refunds them.
+  adjust(delta) {
+    if (!this.perMinute) return;
+    this.refill();
+    this.tokens = Math.min(this.capacity, this.tokens - delta);
+  }
+}
+
+module.exports = TokenBucket;
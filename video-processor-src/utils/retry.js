@@ -0,0 +1,165 @@
+const { RETRY_CONFIG } = require("../config/constants");
+
+// HTTP statuses worth another try: timeouts, rate limits and server errors
+const RETRYABLE_HTTP_STATUSES = [408, 429, 500, 502, 503, 504];
+
+// gRPC codes from the Video Intelligence and Firestore clients:
+// DEADLINE_EXCEEDED, RESOURCE_EXHAUSTED, ABORTED, INTERNAL, UNAVAILABLE
+const RETRYABLE_GRPC_CODES = [4, 8, 10, 13, 14];
+
+const RETRYABLE_NETWORK_CODES = [
+  "ECONNRESET",
+  "ECONNREFUSED",
+  "ETIMEDOUT",
+  "EPIPE",
+  "EAI_AGAIN",
+];
+
+// Drive and Docs report quota errors as 403s, told apart by their reason
+const RETRYABLE_GOOGLE_REASONS = [
+  "rateLimitExceeded",
+  "userRateLimitExceeded",
+  "backendError",
+];
+
+function httpStatus(error) {
+  return error.status || error.response?.status || null;
+}
+
+function googleReason(error) {
+  const errors = error.errors || error.response?.data?.error?.errors || [];
+  return errors[0]?.reason || null;
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === "function") return headers.get(name);
+  return headers[name] || headers[name.toLowerCase()] || null;
+}
+
+// Milliseconds the server asked us to wait, from a Retry-After header in
+// either its seconds or its HTTP-date form
+function retryAfterMs(error) {
+  const value = headerValue(
+    error.headers || error.response?.headers,
+    "retry-after"
+  );
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+// Decide whether an error is worth retrying. Errors may set `retryable`
+// themselves; otherwise the first classifiable error along the cause chain
+// decides, and anything unrecognised is terminal.
+function classifyError(error) {
+  for (let current = error; current; current = current.cause) {
+    if (typeof current.retryable === "boolean") {
+      return { retryable: current.retryable, retryAfterMs: null };
+    }
+
+    const status = httpStatus(current);
+    if (status) {
+      // An exhausted OpenAI balance is a 429 that no amount of waiting fixes
+      if (current.code === "insufficient_quota") {
+        return { retryable: false, retryAfterMs: null };
+      }
+      const retryable =
+        RETRYABLE_HTTP_STATUSES.includes(status) ||
+        (status === 403 &&
+          RETRYABLE_GOOGLE_REASONS.includes(googleReason(current)));
+      return { retryable, retryAfterMs: retryAfterMs(current) };
+    }
+
+    if (typeof current.code === "number") {
+      return {
+        retryable: RETRYABLE_GRPC_CODES.includes(current.code),
+        retryAfterMs: null,
+      };
+    }
+    if (RETRYABLE_NETWORK_CODES.includes(current.code)) {
+      return { retryable: true, retryAfterMs: null };
+    }
+  }
+  return { retryable: false, retryAfterMs: null };
+}
+
+// Flatten an error and its causes into plain objects that can be stored
+function describeError(error) {
+  const chain = [];
+  for (let current = error; current; current = current.cause) {
+    chain.push({
+      message: current.message || String(current),
+      code: current.code ?? null,
+      status: httpStatus(current),
+      reason: googleReason(current),
+    });
+  }
+  return chain;
+}
+
+function stageFailedError(stage, attempts, error, attemptErrors) {
+  const { retryable } = classifyError(error);
+  const failure = new Error(
+    `Stage ${stage} failed after ${attempts} attempt${
+      attempts === 1 ? "" : "s"
+    }: ${error.message}`,
+    { cause: error }
+  );
+  failure.code = "STAGE_FAILED";
+  failure.stage = stage;
+  failure.attempts = attempts;
+  failure.retryable = retryable;
+  failure.attemptErrors = attemptErrors;
+  return failure;
+}
+
+// Run one pipeline stage under its retry policy from RETRY_CONFIG. Backs
+// off exponentially with jitter, honours Retry-After up to
+// MAX_RETRY_AFTER_MS, and throws a STAGE_FAILED error carrying every
+// attempt's error chain.
+async function withRetry(stage, fn, policy = RETRY_CONFIG.POLICIES[stage]) {
+  const attemptErrors = [];
+
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      const { retryable, retryAfterMs } = classifyError(error);
+      attemptErrors.push({
+        attempt,
+        at: new Date().toISOString(),
+        retryable,
+        chain: describeError(error),
+      });
+
+      if (!retryable || attempt >= policy.maxAttempts) {
+        throw stageFailedError(stage, attempt, error, attemptErrors);
+      }
+
+      const backoff = Math.min(
+        policy.baseDelayMs * Math.pow(2, attempt - 1),
+        policy.maxDelayMs
+      );
+      const delay = Math.max(
+        Math.round(backoff * (0.5 + Math.random() / 2)),
+        Math.min(retryAfterMs || 0, RETRY_CONFIG.MAX_RETRY_AFTER_MS)
+      );
+      console.warn(
+        `[${new Date().toISOString()}] 🔁 ${stage} attempt ${attempt}/${
+          policy.maxAttempts
+        } failed (${error.message}), retrying in ${delay}ms`
+      );
+      await new Promise((resolve) => setTimeout(resolve, delay));
+    }
+  }
+}
+
+module.exports = {
+  withRetry,
+  classifyError,
+  describeError,
+};
@@ -0,0 +1,19 @@
+const Ajv = require("ajv");
+
+const ajv = new Ajv({ allErrors: true, allowUnionTypes: true });
+
+// Compile a JSON Schema into a function returning the problems with a value,
+// one "<path> <message>" string per problem and none when it is valid
+function compileSchema(schema) {
+  const validate = ajv.compile(schema);
+  return (value) => {
+    if (validate(value)) {
+      return [];
+    }
+    return validate.errors.map(
+      (error) => `${error.instancePath || "(root)"} ${error.message}`
+    );
+  };
+}
+
+module.exports = { compileSchema };
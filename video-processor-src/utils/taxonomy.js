@@ -0,0 +1,213 @@
+const fs = require("fs");
+const path = require("path");
+const YAML = require("yaml");
+
+const CATEGORIZERS = ["labels", "objects", "text"];
+
+function invalidTaxonomyError(filePath, problems) {
+  const error = new Error(
+    `Invalid taxonomy ${filePath}:\n  ${problems.join("\n  ")}`
+  );
+  error.code = "INVALID_TAXONOMY";
+  error.problems = problems;
+  return error;
+}
+
+// Reduce a word to its singular form, so "bedrooms" matches "bedroom" and
+// "benches" matches "bench". Short words and abbreviations are left alone.
+function singularize(word) {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+  if (word.endsWith("ies")) return `${word.slice(0, -3)}y`;
+  if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+  if (/(ss|us|is)$/.test(word)) return word;
+  if (word.endsWith("s")) return word.slice(0, -1);
+  return word;
+}
+
+// Lowercased singular words, with punctuation treated as a separator
+function tokenize(text) {
+  return String(text)
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map(singularize);
+}
+
+function containsPhrase(tokens, phrase) {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((token, j) => tokens[i + j] === token)) return true;
+  }
+  return false;
+}
+
+function isStringList(value) {
+  return (
+    Array.isArray(value) &&
+    value.every((item) => typeof item === "string" && item.trim())
+  );
+}
+
+// Check one node of a category tree and compile it for matching. Problems
+// are collected rather than thrown, so a bad file is reported in one go.
+function compileNode(node, where, problems, seenTerms) {
+  if (!node || typeof node !== "object") {
+    problems.push(`${where} must be an object`);
+    return null;
+  }
+  const name = node.id ?? node.name;
+  if (node.id === undefined && (typeof name !== "string" || !name.trim())) {
+    problems.push(`${where} needs a name`);
+  }
+  ["synonyms", "exclude", "patterns", "children"].forEach((key) => {
+    if (node[key] !== undefined && !Array.isArray(node[key])) {
+      problems.push(`${where}.${key} must be an array`);
+    }
+  });
+  ["synonyms", "exclude", "patterns"].forEach((key) => {
+    if (Array.isArray(node[key]) && !isStringList(node[key])) {
+      problems.push(`${where}.${key} must only contain non-empty strings`);
+    }
+  });
+  const list = (key) => (Array.isArray(node[key]) ? node[key] : []);
+
+  // A category's id only names it; every other node matches its own name
+  const terms = [
+    ...(node.id === undefined ? [node.name] : []),
+    ...list("synonyms"),
+  ].filter((term) => typeof term === "string");
+  terms.forEach((term) => {
+    const key = tokenize(term).join(" ");
+    if (seenTerms.has(key)) {
+      problems.push(
+        `${where}: "${term}" is already listed under ${seenTerms.get(key)}`
+      );
+    }
+    seenTerms.set(key, where);
+  });
+
+  const patterns = [];
+  list("patterns").forEach((pattern) => {
+    try {
+      patterns.push(new RegExp(pattern, "i"));
+    } catch (error) {
+      problems.push(`${where}: invalid pattern ${pattern} (${error.message})`);
+    }
+  });
+
+  const children = list("children").map((child, i) =>
+    compileNode(
+      child,
+      `${where} > ${child?.name || `children[${i}]`}`,
+      problems,
+      seenTerms
+    )
+  );
+  if (terms.length === 0 && patterns.length === 0 && children.length === 0) {
+    problems.push(`${where} has no terms, patterns or children`);
+  }
+
+  return {
+    name,
+    terms: terms.map(tokenize),
+    exclude: list("exclude").map(tokenize),
+    patterns,
+    children: children.filter(Boolean),
+  };
+}
+
+// The path of names from `node` down to the most specific node matching
+// the text, or null. Children are tried first and in file order, and an
+// exclusion term on a node rules out its whole subtree.
+function matchNode(node, tokens, text) {
+  if (node.exclude.some((phrase) => containsPhrase(tokens, phrase))) {
+    return null;
+  }
+  for (const child of node.children) {
+    const path = matchNode(child, tokens, text);
+    if (path) return [node.name, ...path];
+  }
+  if (
+    node.terms.some((phrase) => containsPhrase(tokens, phrase)) ||
+    node.patterns.some((pattern) => pattern.test(text))
+  ) {
+    return [node.name];
+  }
+  return null;
+}
+
+// Load and validate a taxonomy file, JSON or, with a .yaml or .yml
+// extension, YAML. Throws an INVALID_TAXONOMY error listing every problem
+// found.
+function loadTaxonomy(filePath) {
+  let raw;
+  try {
+    const contents = fs.readFileSync(filePath, "utf8");
+    raw = [".yaml", ".yml"].includes(path.extname(filePath).toLowerCase())
+      ? YAML.parse(contents)
+      : JSON.parse(contents);
+  } catch (error) {
+    throw invalidTaxonomyError(filePath, [error.message]);
+  }
+  if (!raw || typeof raw !== "object") {
+    throw invalidTaxonomyError(filePath, ["The file must hold an object"]);
+  }
+
+  const problems = [];
+  const categories = new Map();
+  if (!Array.isArray(raw.categories) || raw.categories.length === 0) {
+    problems.push("categories must be a non-empty array");
+  }
+  (raw.categories || []).forEach((category, i) => {
+    const id = category?.id;
+    if (typeof id !== "string" || !id.trim()) {
+      problems.push(`categories[${i}] needs an id`);
+      return;
+    }
+    if (categories.has(id) || id === "other") {
+      problems.push(`Category id ${id} is already in use`);
+      return;
+    }
+    categories.set(id, compileNode(category, id, problems, new Map()));
+  });
+
+  const categorizers = {};
+  CATEGORIZERS.forEach((type) => {
+    const ids = raw.categorizers?.[type];
+    if (!isStringList(ids)) {
+      problems.push(`categorizers.${type} must list category ids`);
+      return;
+    }
+    ids
+      .filter((id) => !categories.has(id))
+      .forEach((id) => {
+        problems.push(`categorizers.${type} refers to unknown category ${id}`);
+      });
+    categorizers[type] = ids;
+  });
+
+  if (problems.length > 0) {
+    throw invalidTaxonomyError(filePath, problems);
+  }
+  return { categories, categorizers };
+}
+
+// Find the first of a categorizer's categories matching `text`. Returns the
+// category id and the names below it, e.g. { category: "rooms", path:
+// ["outdoor living", "lanai"] }, or category "other" when nothing matches.
+function classify(taxonomy, type, text) {
+  const tokens = tokenize(text);
+  const lowered = String(text).toLowerCase();
+  for (const id of taxonomy.categorizers[type]) {
+    const path = matchNode(taxonomy.categories.get(id), tokens, lowered);
+    if (path) {
+      return { category: id, path: path.slice(1) };
+    }
+  }
+  return { category: "other", path: [] };
+}
+
+module.exports = {
+  loadTaxonomy,
+  classify,
+};